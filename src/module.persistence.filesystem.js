@@ -1,19 +1,829 @@
 const
-    util        = require('@fua/core.util'),
-    assert      = new util.Assert('module.persistence.filesystem'),
-    path        = require('path'),
-    fs          = require('fs/promises'),
-    rdf         = require('@fua/module.rdf'),
-    {DataStore} = require('@fua/module.persistence');
+    util                              = require('@fua/core.util'),
+    assert                            = new util.Assert('module.persistence.filesystem'),
+    path                              = require('path'),
+    os                                = require('os'),
+    fs                                = require('fs/promises'),
+    {watch, createReadStream}         = require('fs'),
+    {Readable, pipeline}              = require('stream'),
+    {setImmediate: nextTurn}          = require('timers/promises'),
+    crypto                            = require('crypto'),
+    zlib                              = require('zlib'),
+    rdf                               = require('@fua/module.rdf'),
+    {pathToFileURL}                   = require('url'),
+    {DataStore, Dataset, DataFactory} = require('@fua/module.persistence'),
+    writeModes                        = Object.freeze(['immediate', 'debounce', 'interval', 'manual']),
+    lockModes                         = Object.freeze(['refuse', 'coordinate']),
+    conflictStrategies                = Object.freeze(['ours', 'theirs', 'merge']),
+    blankNodeStrategies               = Object.freeze(['skolemize', 'labels']),
+    /** @type {Record<string, string>} The file extensions of the supported serialization formats. */
+    formatExtensions                  = Object.freeze({
+        'text/turtle':           '.ttl',
+        'application/n-triples': '.nt',
+        'application/n-quads':   '.nq',
+        'application/trig':      '.trig',
+        'application/ld+json':   '.jsonld',
+        'application/rdf+xml':   '.rdf'
+    }),
+    /** @type {Record<string, string>} The file extensions of the supported compressions, which follow the format extension. */
+    compressionExtensions             = Object.freeze({
+        'gzip': '.gz',
+        'br':   '.br'
+    }),
+    /** @type {Record<string, function(string): string>} The strategies to derive a file name from a graph IRI. */
+    fileNameStrategies                = Object.freeze({
+        'hash':   (graphId) => crypto.createHash('sha256').update(graphId).digest('hex'),
+        'base64': (graphId) => Buffer.from(graphId).toString('base64url')
+    }),
+    /** @type {Array<string>} The formats of a dump, which have to be able to contain named graphs. */
+    dumpFormats                       = Object.freeze(['application/n-quads', 'application/trig']),
+    xsdString                         = 'http://www.w3.org/2001/XMLSchema#string',
+    rdfType                           = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type',
+    prefixedLocalPattern              = /^[A-Za-z_][\w-]*$/,
+    /** @type {RegExp} The context keys, which are valid prefixes in turtle, unlike keywords like @vocab or @base. */
+    prefixNamePattern                 = /^[A-Za-z](?:[\w.-]*[\w-])?$/,
+    journalRecordPattern              = /^([+-]) (<[^>]*>|_:\S+) (<[^>]*>) (<[^>]*>|_:\S+|"(?:[^"\\]|\\.)*"(?:@[\w-]+|\^\^<[^>]*>)?) \.$/,
+    literalPattern                    = /^("(?:[^"\\]|\\.)*")(?:@([\w-]+)|\^\^<([^>]*)>)?$/,
+    /** @type {Buffer} The start of every encrypted file, with the version of the encryption format as last byte. */
+    encryptionMagic                   = Buffer.from('FUAENC\x01', 'latin1'),
+    /** @type {number} The size of the magic, the key id, the initialization vector and the authentication tag. */
+    encryptionHeaderSize              = 7 + 8 + 12 + 16,
+    /** @type {number} The number of quads that are visited by a match, before other tasks get their turn. */
+    matchChunkSize                    = 1000,
+    /** @type {number} The number of N-Quads lines of a dump that are streamed in one chunk. */
+    dumpChunkSize                     = 1000,
+    /** @type {number} The number of quads of a dump that are imported in one transaction. */
+    importBatchSize                   = 10000;
 
 /**
  * @typedef {object} FileDescription
  * @property {string} id An explicitly defined or randomly generated id for the graph reference.
  * @property {string} identifier The absolute file path of the source file to enable content updates.
  * @property {string} format The mime type of the source file to update the content in the correct format.
- * @property {fua.module.persistence.Dataset} dataset The content data as a dataset.
+ * @property {fua.module.persistence.Dataset | null} dataset The content data as a dataset, or null if it is not loaded (yet).
+ * @property {WritePolicy} writePolicy The policy that decides when changes to the dataset are written to the file.
+ * @property {boolean} readOnly If true, the dataset cannot be changed and the file is never written.
+ * @property {EncryptionOptions | null} encryption The keys to encrypt the file with, or null if it is written in plain text.
+ * @property {'gzip' | 'br' | null} compression The compression of the file, which is applied after the serialization.
  */
 
+/**
+ * @typedef {object} EncryptionOptions
+ * @property {Buffer | null} key The 256-bit key to encrypt the files with.
+ * @property {function(string, string | null): Buffer | Promise<Buffer> | null} keyProvider Returns the key for a graph,
+ * which is the current key if the key id is null, as an alternative to a fixed key.
+ * @property {Array<Buffer>} previousKeys Keys that are only used to decrypt files, which have not been written with the current key yet.
+ */
+
+/**
+ * @typedef {object} GraphStats
+ * @property {fua.module.persistence.DefaultGraph | fua.module.persistence.NamedNode} graph
+ * @property {number | null} quads The number of quads, or null if the file has never been loaded.
+ * @property {string} path The absolute path of the graph file.
+ * @property {string} format
+ * @property {number | null} fileSize The size of the graph file in bytes, or null if it does not exist (yet).
+ * @property {number | null} lastLoaded The time of the last load of the file, or null if it has not been loaded.
+ * @property {number | null} lastPersisted The time of the last write of the file or its journal, or null if there was none.
+ * @property {boolean} dirty True, if the graph has changes that are not written yet.
+ * @property {number | null} writeDeadline The time the pending changes are written at, or null if they wait for a flush.
+ * @property {Error | null} writeError The error of the last write, or null if it has succeeded.
+ */
+
+/**
+ * @typedef {object} StoreCounters
+ * @property {number} added The number of quads added through the store since it has been created.
+ * @property {number} deleted The number of quads deleted through the store since it has been created.
+ * @property {number} writes The number of successful writes of graph files and journals.
+ * @property {number} writeErrors The number of failed writes.
+ */
+
+/**
+ * @typedef {object} GraphHealth
+ * @property {fua.module.persistence.DefaultGraph | fua.module.persistence.NamedNode} graph
+ * @property {number} failingSince The time of the first failed write since the last successful one.
+ * @property {number} failedWrites The number of failed writes since the last successful one.
+ * @property {Error} writeError The error of the last failed write.
+ * @property {number | null} nextRetry The time of the next retry, or null if none is scheduled.
+ * @property {boolean} rejecting True, if mutations of the graph are rejected, because its writes fail for too long.
+ */
+
+/**
+ * @typedef {object} WritePolicy
+ * @property {'immediate' | 'debounce' | 'interval' | 'manual'} mode The mode to schedule file updates with:
+ * - immediate: write after every change,
+ * - debounce: write after a delay without further changes, but at the latest after the maximum wait,
+ * - interval: write in fixed intervals while there are changes,
+ * - manual: write only on flush.
+ * @property {number} [delay=1000] The delay in milliseconds after the last change of a debounce.
+ * @property {number} [maxWait=10000] The maximum time in milliseconds a change can be postponed by a debounce.
+ * @property {number} [interval=1000] The time in milliseconds between two writes in the interval mode.
+ */
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} [initialDelay=1000] The delay in milliseconds before the first retry of a failed write.
+ * @property {number} [maxDelay=60000] The maximum delay in milliseconds between two retries.
+ * @property {number} [factor=2] The factor the delay grows with after every failed retry.
+ * @property {number} [rejectAfter=0] The time in milliseconds after which mutations of a graph, whose writes keep failing,
+ * are rejected, or 0 to accept them regardless.
+ */
+
+/**
+ * @typedef {object} FilesystemTransaction
+ * @property {function(fua.module.persistence.Quad | Iterable<fua.module.persistence.Quad>): Promise<void>} add Stages quads to be added.
+ * @property {function(fua.module.persistence.Quad | Iterable<fua.module.persistence.Quad>): Promise<void>} delete Stages quads to be deleted.
+ * @property {function(fua.module.persistence.Term?, fua.module.persistence.Term?, fua.module.persistence.Term?, fua.module.persistence.Term?): Promise<void>} deleteMatches Stages a pattern to be deleted.
+ */
+
+/**
+ * Completes a write policy with its default values and validates it.
+ * @param {WritePolicy | string} policy A write policy or just the mode of it.
+ * @returns {WritePolicy}
+ */
+function normalizeWritePolicy(policy) {
+    if (util.isString(policy)) policy = {mode: policy};
+    assert(util.isObject(policy), 'normalizeWritePolicy : expected policy to be an object or a string', TypeError);
+    assert(writeModes.includes(policy.mode), 'normalizeWritePolicy : expected policy.mode to be one of ' + writeModes.join(', '));
+
+    switch (policy.mode) {
+        case 'debounce': {
+            const {delay = 1e3, maxWait = 1e4} = policy;
+            assert(util.isNumber(delay) && delay >= 0, 'normalizeWritePolicy : expected policy.delay to be a non-negative number', TypeError);
+            assert(util.isNumber(maxWait) && maxWait >= delay, 'normalizeWritePolicy : expected policy.maxWait to be a number not less than the delay', TypeError);
+            return Object.freeze({mode: policy.mode, delay, maxWait});
+        }
+        case 'interval': {
+            const {interval = 1e3} = policy;
+            assert(util.isNumber(interval) && interval > 0, 'normalizeWritePolicy : expected policy.interval to be a positive number', TypeError);
+            return Object.freeze({mode: policy.mode, interval});
+        }
+        default:
+            return Object.freeze({mode: policy.mode});
+    }
+} // normalizeWritePolicy
+
+/**
+ * Completes a retry policy with its default values and validates it.
+ * @param {RetryPolicy | boolean} policy A retry policy, true for the default one or false for none.
+ * @returns {RetryPolicy | null} The policy, or null if failed writes are not retried.
+ */
+function normalizeRetryPolicy(policy) {
+    if (policy === false) return null;
+    if (policy === true) policy = {};
+    assert(util.isObject(policy), 'normalizeRetryPolicy : expected policy to be a boolean or an object', TypeError);
+    const {initialDelay = 1e3, maxDelay = 6e4, factor = 2, rejectAfter = 0} = policy;
+    assert(util.isNumber(initialDelay) && initialDelay > 0, 'normalizeRetryPolicy : expected policy.initialDelay to be a positive number', TypeError);
+    assert(util.isNumber(maxDelay) && maxDelay >= initialDelay, 'normalizeRetryPolicy : expected policy.maxDelay to be a number not less than the initialDelay', TypeError);
+    assert(util.isNumber(factor) && factor >= 1, 'normalizeRetryPolicy : expected policy.factor to be a number not less than 1', TypeError);
+    assert(util.isNumber(rejectAfter) && rejectAfter >= 0, 'normalizeRetryPolicy : expected policy.rejectAfter to be a non-negative number', TypeError);
+    return Object.freeze({initialDelay, maxDelay, factor, rejectAfter});
+} // normalizeRetryPolicy
+
+/**
+ * Completes the encryption options of a file or the store and validates them.
+ * @param {EncryptionOptions | Buffer | Function | false} encryption The options, just the key or just the key provider.
+ * @returns {EncryptionOptions | null} The options, or null if the encryption is disabled.
+ */
+function normalizeEncryption(encryption) {
+    if (encryption === false) return null;
+    if (Buffer.isBuffer(encryption)) encryption = {key: encryption};
+    else if (util.isFunction(encryption)) encryption = {keyProvider: encryption};
+    assert(util.isObject(encryption), 'normalizeEncryption : expected encryption to be false, a key, a key provider or an object', TypeError);
+    const {key = null, keyProvider = null, previousKeys = []} = encryption;
+    assert(!key !== !keyProvider, 'normalizeEncryption : expected encryption to contain either a key or a keyProvider', TypeError);
+    assert(key === null || isEncryptionKey(key), 'normalizeEncryption : expected encryption.key to be a Buffer of 32 bytes', TypeError);
+    assert(keyProvider === null || util.isFunction(keyProvider), 'normalizeEncryption : expected encryption.keyProvider to be a function', TypeError);
+    assert(Array.isArray(previousKeys) && previousKeys.every(isEncryptionKey),
+        'normalizeEncryption : expected encryption.previousKeys to be an array of Buffers of 32 bytes', TypeError);
+    return Object.freeze({key, keyProvider, previousKeys: Object.freeze(Array.from(previousKeys))});
+} // normalizeEncryption
+
+/**
+ * @param {any} key
+ * @returns {boolean} True, if the key can be used for AES-256-GCM.
+ */
+function isEncryptionKey(key) {
+    return Buffer.isBuffer(key) && key.length === 32;
+} // isEncryptionKey
+
+/**
+ * @param {Buffer} key
+ * @returns {string} The id of the key, which is stored in the encrypted files: the first 16 hex digits of its SHA-256 hash.
+ */
+function keyIdOf(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+} // keyIdOf
+
+/**
+ * @param {Buffer} content
+ * @returns {boolean} True, if the content starts like an encrypted file.
+ */
+function isEncryptedContent(content) {
+    return content.length >= encryptionHeaderSize && content.subarray(0, encryptionMagic.length).equals(encryptionMagic);
+} // isEncryptedContent
+
+/**
+ * @param {Buffer} content An encrypted content.
+ * @returns {string} The id of the key, that the content is encrypted with.
+ */
+function contentKeyIdOf(content) {
+    return content.subarray(encryptionMagic.length, encryptionMagic.length + 8).toString('hex');
+} // contentKeyIdOf
+
+/**
+ * Encrypts the content with AES-256-GCM. The magic and the key id are authenticated as well, the result consists of
+ * them, the initialization vector, the authentication tag and the encrypted content.
+ * @param {Buffer} content
+ * @param {Buffer} key
+ * @returns {Buffer}
+ */
+function encryptContent(content, key) {
+    const
+        header = Buffer.concat([encryptionMagic, Buffer.from(keyIdOf(key), 'hex')]),
+        iv     = crypto.randomBytes(12),
+        cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+    const encrypted = Buffer.concat([cipher.update(content), cipher.final()]);
+    return Buffer.concat([header, iv, cipher.getAuthTag(), encrypted]);
+} // encryptContent
+
+/**
+ * @param {Buffer} content An encrypted content.
+ * @param {Buffer} key The key with the id of the content.
+ * @returns {Buffer | null} The decrypted content, or null if the content could not be authenticated.
+ */
+function decryptContent(content, key) {
+    const
+        header   = content.subarray(0, encryptionMagic.length + 8),
+        iv       = content.subarray(header.length, header.length + 12),
+        tag      = content.subarray(header.length + 12, encryptionHeaderSize),
+        decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(header);
+    decipher.setAuthTag(tag);
+    try {
+        return Buffer.concat([decipher.update(content.subarray(encryptionHeaderSize)), decipher.final()]);
+    } catch (err) {
+        return null;
+    }
+} // decryptContent
+
+/**
+ * Writes the content into a temporary sibling of the target file and syncs it to the disk, without touching the target.
+ * A symlinked target is written through the link, and the new file keeps the mode and owner of the old one.
+ * A stream is written chunk by chunk and hashed on the way, so that its content is never in memory as a whole.
+ * @param {string} filePath The absolute path of the target file.
+ * @param {string|Buffer|Readable} content The complete new content of the target file.
+ * @returns {Promise<{tmpPath: string, targetPath: string, size: number, hash: string}>} The temporary file, the resolved
+ * target, and the size in bytes and the sha256 hash of the written content.
+ */
+async function writeTempFile(filePath, content) {
+    const
+        targetPath  = await fs.realpath(filePath).catch(err => err.code === 'ENOENT' ? filePath : Promise.reject(err)),
+        targetStats = await fs.stat(targetPath).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err)),
+        tmpPath     = path.join(path.dirname(targetPath), '.' + path.basename(targetPath) + '.' + crypto.randomBytes(6).toString('hex') + '.tmp'),
+        fileHandle  = await fs.open(tmpPath, 'wx', targetStats ? targetStats.mode & 0o777 : 0o666),
+        hash        = crypto.createHash('sha256');
+    let size = 0;
+
+    try {
+        try {
+            if (targetStats) {
+                // The mode given to open is restricted by the umask, so it is applied again. Only a privileged
+                // process can give the file another owner, which is why a failing chown is ignored.
+                await fileHandle.chmod(targetStats.mode & 0o7777);
+                await fileHandle.chown(targetStats.uid, targetStats.gid).catch(err => ['EPERM', 'EINVAL', 'ENOSYS'].includes(err.code) ? null : Promise.reject(err));
+            }
+            if (content instanceof Readable) {
+                await fileHandle.writeFile((async function* () {
+                    for await (let chunk of content) {
+                        hash.update(chunk);
+                        size += chunk.length;
+                        yield chunk;
+                    }
+                })());
+            } else {
+                hash.update(content);
+                size = Buffer.byteLength(content);
+                await fileHandle.writeFile(content);
+            }
+            await fileHandle.sync();
+        } finally {
+            await fileHandle.close();
+        }
+    } catch (err) {
+        // The temporary file must not be left behind, the target file has not been touched at this point.
+        await fs.rm(tmpPath, {force: true});
+        throw err;
+    }
+    return {tmpPath, targetPath, size, hash: hash.digest('hex')};
+} // writeTempFile
+
+/**
+ * Syncs a directory to the disk, which persists the renames inside of it. This is not possible on windows.
+ * @param {string} dirPath
+ * @returns {Promise<void>}
+ */
+async function syncDirectory(dirPath) {
+    if (process.platform === 'win32') return;
+    const dirHandle = await fs.open(dirPath, 'r');
+    try {
+        await dirHandle.sync();
+    } finally {
+        await dirHandle.close();
+    }
+} // syncDirectory
+
+/**
+ * Writes the content into a temporary sibling of the target file, syncs it to the disk
+ * and renames it over the target, so that the target is always either complete or untouched.
+ * @param {string} filePath The absolute path of the target file.
+ * @param {string|Buffer|Readable} content The complete new content of the target file.
+ * @param {(written: {size: number, hash: string}) => void} [beforeRename] Called with the synced content right before the rename.
+ * @returns {Promise<{size: number, hash: string}>} The size in bytes and the sha256 hash of the written content.
+ */
+async function writeFileAtomic(filePath, content, beforeRename) {
+    const {tmpPath, targetPath, size, hash} = await writeTempFile(filePath, content);
+    try {
+        if (beforeRename) beforeRename({size, hash});
+        await fs.rename(tmpPath, targetPath);
+    } catch (err) {
+        await fs.rm(tmpPath, {force: true});
+        throw err;
+    }
+    await syncDirectory(path.dirname(targetPath));
+    return {size, hash};
+} // writeFileAtomic
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<boolean>} True, if something exists at the path.
+ */
+async function fileExists(filePath) {
+    try {
+        await fs.stat(filePath);
+        return true;
+    } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+    }
+} // fileExists
+
+/**
+ * @param {object} description
+ * @returns {boolean} True, if the load description stands for a single file and can be loaded on its own.
+ */
+function isFlatDescription(description) {
+    return util.isObject(description) && util.isString(description['@id'])
+        && util.isString(description['dct:identifier']) && util.isString(description['dct:format'])
+        && !description['dct:requires'];
+} // isFlatDescription
+
+/**
+ * @param {string} fileName The name or path of a graph file.
+ * @returns {{baseName: string, compression: 'gzip' | 'br' | null}} The file name without the compression extension
+ * and the compression, that the extension stands for.
+ */
+function splitCompression(fileName) {
+    for (let [compression, extension] of Object.entries(compressionExtensions)) {
+        if (fileName.toLowerCase().endsWith(extension))
+            return {baseName: fileName.substring(0, fileName.length - extension.length), compression};
+    }
+    return {baseName: fileName, compression: null};
+} // splitCompression
+
+/**
+ * @param {string} fileName
+ * @returns {string} The extension of the file, which includes the format extension in front of a compression extension.
+ */
+function fileExtensionOf(fileName) {
+    const {baseName} = splitCompression(fileName);
+    return path.extname(baseName) + fileName.substring(baseName.length);
+} // fileExtensionOf
+
+/**
+ * @param {string} fileName
+ * @returns {string | undefined} The format of the file, recognized by its extension in front of any compression extension.
+ */
+function formatOfFileName(fileName) {
+    const extension = path.extname(splitCompression(fileName).baseName).toLowerCase();
+    return Object.keys(formatExtensions).find(format => formatExtensions[format] === extension);
+} // formatOfFileName
+
+/**
+ * @param {Buffer | string} content
+ * @param {'gzip' | 'br'} compression
+ * @returns {Promise<Buffer>}
+ */
+function compressContent(content, compression) {
+    const compress = (compression === 'gzip') ? zlib.gzip : zlib.brotliCompress;
+    return new Promise((resolve, reject) => compress(content, (err, result) => err ? reject(err) : resolve(result)));
+} // compressContent
+
+/**
+ * @param {Buffer} content
+ * @param {'gzip' | 'br'} compression
+ * @returns {Promise<Buffer>}
+ */
+function decompressContent(content, compression) {
+    const decompress = (compression === 'gzip') ? zlib.gunzip : zlib.brotliDecompress;
+    return new Promise((resolve, reject) => decompress(content, (err, result) => err ? reject(err) : resolve(result)));
+} // decompressContent
+
+/**
+ * @param {string} identifier The path of a graph file.
+ * @returns {string} The path of the journal that belongs to the graph file.
+ */
+function journalPathOf(identifier) {
+    return identifier + '.journal';
+} // journalPathOf
+
+/**
+ * @param {string} identifier The path of a graph file.
+ * @returns {string} The path of the lock file that belongs to the graph file.
+ */
+function lockPathOf(identifier) {
+    return identifier + '.lock';
+} // lockPathOf
+
+/**
+ * @param {string} identifier The path of a graph file.
+ * @returns {string} The path of the intent, with which a transaction announces the staged content of the graph file.
+ */
+function intentPathOf(identifier) {
+    return identifier + '.intent';
+} // intentPathOf
+
+/**
+ * Completes or rolls back a transaction, that has been interrupted while the graph file was staged by it.
+ * The transaction is complete, once its commit marker exists. Then the staged content replaces the file,
+ * if that has not happened yet, otherwise the staged content is removed and the file keeps its old content.
+ * @param {string} identifier The path of a graph file.
+ * @returns {Promise<void>}
+ */
+async function recoverCommit(identifier) {
+    const intentPath = intentPathOf(identifier);
+    let intent;
+    try {
+        intent = JSON.parse(await fs.readFile(intentPath, 'utf-8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+    if (await fileExists(intent.commit)) {
+        await fs.rename(intent.tmp, intent.target).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err));
+        await syncDirectory(path.dirname(intent.target));
+    } else {
+        await fs.rm(intent.tmp, {force: true});
+    }
+    await fs.rm(intentPath, {force: true});
+} // recoverCommit
+
+/**
+ * @param {number} pid
+ * @returns {boolean} True, if a process with the id is running on this host.
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // The process exists, but belongs to another user.
+        return err.code === 'EPERM';
+    }
+} // isProcessAlive
+
+/**
+ * A lock is stale, if the process that holds it is not running anymore on this host,
+ * or if it has not been refreshed within the stale time, e.g. because it was taken on another host.
+ * @param {string} lockPath
+ * @param {fs.Stats} lockStats The stats of the lock, which decide about its age.
+ * @param {number} staleMS
+ * @returns {Promise<boolean>}
+ */
+async function isLockStale(lockPath, lockStats, staleMS) {
+    let lockInfo = null;
+    try {
+        lockInfo = JSON.parse(await fs.readFile(lockPath, 'utf-8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return true;
+        // A lock that cannot be parsed might still be written by its owner, so only its age decides.
+        if (!(err instanceof SyntaxError)) throw err;
+    }
+    if (lockInfo && lockInfo.hostname === os.hostname() && !isProcessAlive(lockInfo.pid)) return true;
+    return Date.now() - lockStats.mtimeMs > staleMS;
+} // isLockStale
+
+/**
+ * Creates the lock file exclusively. A stale lock is moved away under a unique name, which only one process
+ * can do, and then taken over. If the moved lock turns out to be a new one, it is put back instead.
+ * @param {string} lockPath
+ * @param {number} staleMS
+ * @returns {Promise<boolean>} False, if the lock is held by another process or store.
+ */
+async function acquireLock(lockPath, staleMS) {
+    const lockContent = JSON.stringify({pid: process.pid, hostname: os.hostname(), created: new Date().toISOString()});
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            await fs.writeFile(lockPath, lockContent, {flag: 'wx'});
+            return true;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+        const lockStats = await fs.stat(lockPath).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err));
+        if (!lockStats) continue;
+        if (!await isLockStale(lockPath, lockStats, staleMS)) return false;
+
+        const stalePath = lockPath + '.' + crypto.randomBytes(6).toString('hex') + '.stale';
+        try {
+            await fs.rename(lockPath, stalePath);
+        } catch (err) {
+            // Another process has already moved the stale lock away.
+            if (err.code === 'ENOENT') continue;
+            throw err;
+        }
+        const staleStats = await fs.stat(stalePath);
+        if (staleStats.ino !== lockStats.ino || staleStats.mtimeMs !== lockStats.mtimeMs) {
+            // Another process has taken the lock over or refreshed it since it was checked. A link does not
+            // replace a lock, that has been created in the meantime, unlike a rename.
+            await fs.link(stalePath, lockPath).catch(err => err.code === 'EEXIST' ? null : Promise.reject(err));
+            await fs.rm(stalePath, {force: true});
+            return false;
+        }
+        await fs.rm(stalePath, {force: true});
+    }
+    return false;
+} // acquireLock
+
+/**
+ * Serializes a term in N-Quads syntax. Literals are escaped like JSON strings, which is compatible to N-Quads.
+ * @param {fua.module.persistence.Term} term
+ * @returns {string}
+ */
+function termToString(term) {
+    switch (term.termType) {
+        case 'NamedNode':
+            return '<' + term.value + '>';
+        case 'BlankNode':
+            return '_:' + term.value;
+        case 'Literal':
+            if (term.language) return JSON.stringify(term.value) + '@' + term.language;
+            if (term.datatype && term.datatype.value !== xsdString) return JSON.stringify(term.value) + '^^<' + term.datatype.value + '>';
+            return JSON.stringify(term.value);
+        default:
+            assert(false, 'termToString : expected term to be a NamedNode, BlankNode or Literal', TypeError);
+    }
+} // termToString
+
+/**
+ * @param {string} token A term in the syntax of termToString.
+ * @param {fua.module.persistence.DataFactory} factory
+ * @returns {fua.module.persistence.Term}
+ */
+function stringToTerm(token, factory) {
+    if (token.startsWith('<')) return factory.namedNode(token.slice(1, -1));
+    if (token.startsWith('_:')) return factory.blankNode(token.slice(2));
+    const [, value, language, datatype] = literalPattern.exec(token);
+    if (language) return factory.literal(JSON.parse(value), language);
+    if (datatype) return factory.literal(JSON.parse(value), factory.namedNode(datatype));
+    return factory.literal(JSON.parse(value));
+} // stringToTerm
+
+/**
+ * Describes the blank nodes of a dataset independent of the labels they got from the parser. Every blank node gets a
+ * signature from the triples it occurs in, with itself and other blank nodes masked.
+ * @param {fua.module.persistence.Dataset} dataset
+ * @returns {Array<[string, string]>} The label and signature of each blank node, ordered by the signatures.
+ */
+function blankSignatures(dataset) {
+    /** @type {Map<string, Array<string>>} */
+    const signatures = new Map();
+    const maskedTerm = (term, label) => term.termType !== 'BlankNode' ? termToString(term) : term.value === label ? '_:a' : '_:z';
+    for (let quad of dataset) {
+        for (let term of [quad.subject, quad.object]) {
+            if (term.termType !== 'BlankNode') continue;
+            if (!signatures.has(term.value)) signatures.set(term.value, []);
+            signatures.get(term.value).push([quad.subject, quad.predicate, quad.object].map(other => maskedTerm(other, term.value)).join(' '));
+        }
+    }
+    return Array.from(signatures.entries())
+        .map(([label, lines]) => [label, lines.sort().join('\n')])
+        .sort(([labelA, signatureA], [labelB, signatureB]) => signatureA < signatureB ? -1 : signatureA > signatureB ? 1 : labelA < labelB ? -1 : 1);
+} // blankSignatures
+
+/**
+ * Labels the blank nodes of a dataset in the order of their signatures.
+ * @param {fua.module.persistence.Dataset} dataset
+ * @returns {Map<string, string>} The canonical label for each blank node label.
+ */
+function canonicalBlankLabels(dataset) {
+    return new Map(blankSignatures(dataset).map(([label], index) => [label, 'b' + index]));
+} // canonicalBlankLabels
+
+/**
+ * Derives a key for each blank node from its signature, which stays the same when the dataset is parsed again.
+ * Blank nodes with the same signature are numbered in the order of their labels.
+ * @param {fua.module.persistence.Dataset} dataset
+ * @returns {Map<string, string>} The key for each blank node label.
+ */
+function blankSignatureKeys(dataset) {
+    const
+        keys   = new Map(),
+        counts = new Map();
+    for (let [label, signature] of blankSignatures(dataset)) {
+        const signatureHash = hashContent(signature).substring(0, 32);
+        const count         = counts.get(signatureHash) || 0;
+        counts.set(signatureHash, count + 1);
+        keys.set(label, signatureHash + '.' + count);
+    }
+    return keys;
+} // blankSignatureKeys
+
+/**
+ * @param {string} identifier The path of a graph file.
+ * @returns {string} The path of the blank node labels that belong to the graph file.
+ */
+function labelMapPathOf(identifier) {
+    return identifier + '.bnodes.json';
+} // labelMapPathOf
+
+/**
+ * Serializes a dataset into a canonical form, in which the triples are sorted, the blank nodes get canonical labels
+ * and the IRIs are compacted with the prefixes. The same dataset always results in the same output.
+ * @param {fua.module.persistence.Dataset} dataset
+ * @param {string} format
+ * @param {Record<string, string>} prefixes
+ * @returns {string | null} The serialized dataset, or null if the format has no canonical form.
+ */
+function serializeCanonical(dataset, format, prefixes) {
+    const
+        blankLabels  = canonicalBlankLabels(dataset),
+        usedPrefixes = new Set(),
+        prefixArr    = Object.entries(prefixes).filter(([prefix, namespace]) => prefixNamePattern.test(prefix) && util.isString(namespace))
+            .sort(([, namespaceA], [, namespaceB]) => namespaceB.length - namespaceA.length);
+
+    const plainTerm   = (term) => term.termType === 'BlankNode' ? '_:' + blankLabels.get(term.value) : termToString(term);
+    const compactIRI  = (iri) => {
+        for (let [prefix, namespace] of prefixArr) {
+            if (!iri.startsWith(namespace) || !prefixedLocalPattern.test(iri.substring(namespace.length))) continue;
+            usedPrefixes.add(prefix);
+            return prefix + ':' + iri.substring(namespace.length);
+        }
+        return '<' + iri + '>';
+    };
+    const turtleTerm  = (term) => {
+        if (term.termType === 'NamedNode') return compactIRI(term.value);
+        if (term.termType === 'Literal' && !term.language && term.datatype && term.datatype.value !== xsdString)
+            return JSON.stringify(term.value) + '^^' + compactIRI(term.datatype.value);
+        return plainTerm(term);
+    };
+    const compareKeys = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+
+    switch (format) {
+        case 'application/n-triples':
+        case 'application/n-quads':
+            return Array.from(dataset)
+                .map(quad => plainTerm(quad.subject) + ' ' + plainTerm(quad.predicate) + ' ' + plainTerm(quad.object) + ' .\n')
+                .sort(compareKeys)
+                .join('');
+
+        case 'text/turtle':
+        case 'application/trig': {
+            /** @type {Map<string, Map<string, Array<string>>>} */
+            const subjects = new Map();
+            for (let quad of dataset) {
+                const
+                    subjectKey   = plainTerm(quad.subject),
+                    predicateKey = quad.predicate.value === rdfType ? '' : plainTerm(quad.predicate);
+                if (!subjects.has(subjectKey)) subjects.set(subjectKey, new Map([['subject', [turtleTerm(quad.subject)]]]));
+                const predicates = subjects.get(subjectKey);
+                if (!predicates.has(predicateKey)) predicates.set(predicateKey, [quad.predicate.value === rdfType ? 'a' : turtleTerm(quad.predicate)]);
+                predicates.get(predicateKey).push(turtleTerm(quad.object));
+            }
+
+            const blockArr = Array.from(subjects.keys()).sort(compareKeys).map((subjectKey) => {
+                const
+                    predicates = subjects.get(subjectKey),
+                    [subject]  = predicates.get('subject');
+                predicates.delete('subject');
+                const lines = Array.from(predicates.keys()).sort(compareKeys).map((predicateKey) => {
+                    const [predicate, ...objects] = predicates.get(predicateKey);
+                    return '    ' + predicate + ' ' + objects.sort(compareKeys).join(', ');
+                });
+                return subject + '\n' + lines.join(' ;\n') + ' .\n';
+            });
+
+            const prefixLines = Array.from(usedPrefixes).sort(compareKeys)
+                .map(prefix => '@prefix ' + prefix + ': <' + prefixes[prefix] + '> .\n');
+            return [prefixLines.join(''), ...blockArr].filter(block => block).join('\n');
+        }
+
+        default:
+            return null;
+    }
+} // serializeCanonical
+
+/**
+ * @param {string} sign Either + for an added or - for a deleted quad.
+ * @param {fua.module.persistence.Quad} fileQuad
+ * @returns {string} A journal record, terminated by a line break.
+ */
+function journalRecordOf(sign, fileQuad) {
+    return sign + ' ' + termToString(fileQuad.subject) + ' ' + termToString(fileQuad.predicate) + ' ' + termToString(fileQuad.object) + ' .\n';
+} // journalRecordOf
+
+/**
+ * @param {string} line A journal record without its line break.
+ * @param {fua.module.persistence.DataFactory} factory
+ * @returns {[string, fua.module.persistence.Quad]} The sign and the quad of the record.
+ */
+function parseJournalRecord(line, factory) {
+    const match = journalRecordPattern.exec(line);
+    assert(match, 'parseJournalRecord : expected line to be a valid journal record');
+    return [match[1], factory.quad(
+        stringToTerm(match[2], factory),
+        stringToTerm(match[3], factory),
+        stringToTerm(match[4], factory)
+    )];
+} // parseJournalRecord
+
+/**
+ * Iterates the matching quads of a dataset one by one instead of copying them into a new dataset,
+ * so that the caller can stop early. Other tasks get their turn after every chunk of visited quads.
+ * @param {fua.module.persistence.Dataset} dataset
+ * @param {fua.module.persistence.Term} [subject]
+ * @param {fua.module.persistence.Term} [predicate]
+ * @param {fua.module.persistence.Term} [object]
+ * @returns {AsyncGenerator<fua.module.persistence.Quad>}
+ */
+async function* matchQuads(dataset, subject, predicate, object) {
+    let visited = 0;
+    for (let quad of dataset) {
+        if ((!subject || subject.equals(quad.subject)) && (!predicate || predicate.equals(quad.predicate))
+            && (!object || object.equals(quad.object))) yield quad;
+        if (++visited % matchChunkSize === 0) await nextTurn();
+    }
+} // matchQuads
+
+/**
+ * @param {string|Buffer} content
+ * @returns {string} The sha256 hash of the content as hex string.
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+} // hashContent
+
+/**
+ * @typedef {object} FileVersion
+ * @property {number} mtimeMs The modification time of the file, or 0 if it does not exist.
+ * @property {number} size The size of the file in bytes.
+ * @property {string} hash The hash of the file content, or an empty string if it does not exist.
+ */
+
+/**
+ * @param {string} identifier
+ * @param {string | Buffer | null} content The current content of the file, or null if it does not exist.
+ * @returns {Promise<FileVersion>}
+ */
+async function fileVersionOf(identifier, content) {
+    const stats = content !== null ? await fs.stat(identifier) : null;
+    return {
+        mtimeMs: stats ? stats.mtimeMs : 0,
+        size:    stats ? stats.size : 0,
+        hash:    content !== null ? hashContent(content) : ''
+    };
+} // fileVersionOf
+
+/**
+ * @param {string} content
+ * @param {string} format
+ * @param {fua.module.persistence.DataFactory} factory
+ * @returns {Promise<fua.module.persistence.Dataset>}
+ */
+async function parseContent(content, format, factory) {
+    return await parseQuadStream(Readable.from([content]), format, factory);
+} // parseContent
+
+/**
+ * @param {Readable} stream
+ * @param {string} format
+ * @param {fua.module.persistence.DataFactory} factory
+ * @returns {Promise<fua.module.persistence.Dataset>}
+ */
+async function parseQuadStream(stream, format, factory) {
+    const dataset = new Dataset(null, factory);
+    // An error of the stream itself, e.g. of a corrupt compression, is not necessarily passed on by the parser.
+    const failure = new Promise((resolve, reject) => stream.once('error', reject));
+    const parsing = (async () => {
+        for await (let quad of rdf.parseStream(stream, format, factory)) {
+            dataset.add(factory.quad(quad.subject, quad.predicate, quad.object));
+        }
+    })();
+    failure.catch(() => null);
+    parsing.catch(() => null);
+    await Promise.race([parsing, failure]);
+    return dataset;
+} // parseQuadStream
+
 class FilesystemStore extends DataStore {
 
     #ready         = false;
@@ -23,148 +833,2263 @@ class FilesystemStore extends DataStore {
     #defaultFile   = '';
     /** @type {Map<string, number>} */
     #updateTimesMS = new Map();
-    #updateDelayMS = 1e3;
+    /** @type {Map<string, number>} */
+    #dirtyTimesMS  = new Map();
+    /** @type {Map<string, number>} */
+    #revisions     = new Map();
+    /** @type {WritePolicy} */
+    #writePolicy   = null;
+    /** @type {Map<string, WritePolicy>} */
+    #writePolicies = new Map();
+    /** @type {Map<string, Promise<Error | null>>} */
+    #updaters      = new Map();
+    /** @type {Map<string, Function>} */
+    #updateWakers  = new Map();
+    /** @type {Map<string, Promise<void>>} */
+    #writeQueues   = new Map();
+    #watchEnabled  = false;
+    #watchDelayMS  = 100;
+    /** @type {Map<string, import('fs').FSWatcher>} */
+    #watchers      = new Map();
+    /** @type {Map<string, NodeJS.Timeout>} */
+    #reloadTimers  = new Map();
+    /** @type {Map<string, string>} */
+    #contentHashes = new Map();
+    #graphDir      = '';
+    /** @type {function(string): string} */
+    #graphFileName = null;
+    #graphFormat   = '';
+    /** @type {Map<string, Promise<FileDescription>>} */
+    #graphCreators = new Map();
+    #manifestPath  = '';
+    /** @type {Record<string, string>} */
+    #manifest      = null;
+    /** @type {Promise<void>} */
+    #manifestWrite = Promise.resolve();
+    #journalLimit  = 0;
+    /** @type {Map<string, Array<string>>} */
+    #journalBuffer = new Map();
+    /** @type {Map<string, number>} */
+    #journalSizes  = new Map();
+    /** @type {Set<string>} */
+    #compactions   = new Set();
+    #historyLimit  = 0;
+    #historyDir    = '';
+    #historyDelay  = 0;
+    /** @type {Map<string, number>} */
+    #snapshotTimes = new Map();
+    #lazyLoading   = false;
+    #quadBudget    = Infinity;
+    /** @type {Map<string, Promise<void>>} */
+    #loaders       = new Map();
+    /** @type {Map<string, number>} */
+    #pins          = new Map();
+    /** @type {Map<string, number>} */
+    #accessTimes   = new Map();
+    /** @type {Map<string, number>} */
+    #quadCounts    = new Map();
+    #evicting      = false;
+    #canonical     = false;
+    /** @type {Record<string, string>} */
+    #prefixes      = {};
+    #lockMode      = '';
+    #lockStaleMS   = 3e4;
+    /** @type {Set<string>} */
+    #heldLocks     = new Set();
+    #lockRefresher = null;
+    #conflictMode  = '';
+    #readOnly      = false;
+    #blankNodeMode = '';
+    #genidBase     = '';
+    #deskolemize   = false;
+    /** @type {Map<string, FileVersion>} */
+    #fileVersions  = new Map();
+    /** @type {Map<string, string>} */
+    #baseContents  = new Map();
+    /** @type {Map<string, {dataset: fua.module.persistence.Dataset, content: string | null, version: FileVersion}>} */
+    #conflicts     = new Map();
+    /** @type {EncryptionOptions | null} */
+    #encryption    = null;
+    /** @type {Map<string, EncryptionOptions | null>} */
+    #encryptions   = new Map();
+    /** @type {Set<string>} */
+    #rotations     = new Set();
+    /** @type {Map<string, string>} The ids of the keys, that the encrypted files are encrypted with on disk. */
+    #keyIds        = new Map();
+    /** @type {Map<string, number>} */
+    #loadTimes     = new Map();
+    /** @type {Map<string, number>} */
+    #persistTimes  = new Map();
+    /** @type {Map<string, Error>} */
+    #writeErrors   = new Map();
+    /** @type {StoreCounters} */
+    #counters      = {added: 0, deleted: 0, writes: 0, writeErrors: 0};
+    /** @type {RetryPolicy | null} */
+    #retryPolicy   = null;
+    /** @type {Map<string, number>} */
+    #failingSince  = new Map();
+    /** @type {Map<string, number>} */
+    #failedWrites  = new Map();
+    /** @type {Map<string, NodeJS.Timeout>} */
+    #retryTimers   = new Map();
+    /** @type {Map<string, number>} */
+    #retryTimesMS  = new Map();
+    #closed        = false;
+    /** @type {Promise<void> | null} */
+    #closing       = null;
 
     constructor(options, factory) {
         super(options, factory);
 
-        const {defaultFile, loadFiles} = options;
+        const {
+                  defaultFile, loadFiles, loadDirectory = '', manifestFile = 'manifest.json',
+                  writePolicy = 'debounce', writePolicies = {}, watch = false, journal = false, history = false, lazy = false, canonical = false,
+                  graphDirectory = loadDirectory, graphFileName = 'hash', graphFormat = 'text/turtle', lock = false,
+                  conflicts = false, readOnly = false, blankNodes = false, encryption = false, encryptions = {}, retry = true
+              } = options;
         assert(util.isString(defaultFile), 'FilesystemStore#constructor : expected defaultFile to be a string', TypeError);
-        assert(util.isObject(loadFiles), 'FilesystemStore#constructor : expected loadFiles to be an object', TypeError);
+        assert(util.isString(loadDirectory), 'FilesystemStore#constructor : expected loadDirectory to be a string', TypeError);
+        assert(loadDirectory || util.isObject(loadFiles), 'FilesystemStore#constructor : expected loadFiles to be an object', TypeError);
+        assert(util.isString(manifestFile) && manifestFile, 'FilesystemStore#constructor : expected manifestFile to be a non-empty string', TypeError);
+        assert(util.isObject(writePolicies), 'FilesystemStore#constructor : expected writePolicies to be an object', TypeError);
+        assert(util.isObject(encryptions), 'FilesystemStore#constructor : expected encryptions to be an object', TypeError);
+        assert(util.isBoolean(watch), 'FilesystemStore#constructor : expected watch to be a boolean', TypeError);
+        assert(util.isBoolean(journal) || (util.isObject(journal) && util.isNumber(journal.maxSize) && journal.maxSize > 0),
+            'FilesystemStore#constructor : expected journal to be a boolean or an object with a positive maxSize', TypeError);
+        assert(util.isBoolean(lazy) || (util.isObject(lazy) && util.isNumber(lazy.maxQuads) && lazy.maxQuads >= 0),
+            'FilesystemStore#constructor : expected lazy to be a boolean or an object with a non-negative maxQuads', TypeError);
+        assert(util.isBoolean(canonical), 'FilesystemStore#constructor : expected canonical to be a boolean', TypeError);
+        assert(util.isBoolean(history) || util.isObject(history), 'FilesystemStore#constructor : expected history to be a boolean or an object', TypeError);
+        const {directory: historyDirectory = '', maxCount: historyCount = 10, interval: historyInterval = 0} = util.isObject(history) ? history : {};
+        assert(util.isString(historyDirectory), 'FilesystemStore#constructor : expected history.directory to be a string', TypeError);
+        assert(util.isNumber(historyCount) && historyCount > 0, 'FilesystemStore#constructor : expected history.maxCount to be a positive number', TypeError);
+        assert(util.isNumber(historyInterval) && historyInterval >= 0, 'FilesystemStore#constructor : expected history.interval to be a non-negative number', TypeError);
+        assert(lock === false || lockModes.includes(lock) || (util.isObject(lock) && lockModes.includes(lock.mode)),
+            'FilesystemStore#constructor : expected lock to be false, one of ' + lockModes.join(', ') + ' or an object with one of them as mode', TypeError);
+        const {mode: lockMode = lock || '', staleTimeout: lockStaleTimeout = 3e4} = util.isObject(lock) ? lock : {};
+        assert(util.isNumber(lockStaleTimeout) && lockStaleTimeout > 0, 'FilesystemStore#constructor : expected lock.staleTimeout to be a positive number', TypeError);
+        assert(conflicts === false || conflicts === 'manual' || conflictStrategies.includes(conflicts),
+            'FilesystemStore#constructor : expected conflicts to be false, manual or one of ' + conflictStrategies.join(', '), TypeError);
+        assert(util.isBoolean(readOnly), 'FilesystemStore#constructor : expected readOnly to be a boolean', TypeError);
+        assert(blankNodes === false || blankNodeStrategies.includes(blankNodes) || (util.isObject(blankNodes) && blankNodeStrategies.includes(blankNodes.strategy)),
+            'FilesystemStore#constructor : expected blankNodes to be false, one of ' + blankNodeStrategies.join(', ') + ' or an object with one of them as strategy', TypeError);
+        const {
+                  strategy: blankNodeStrategy = blankNodes || '',
+                  base: genidBase = 'http://localhost/.well-known/genid/',
+                  deskolemize = false
+              } = util.isObject(blankNodes) ? blankNodes : {};
+        assert(util.isString(genidBase) && genidBase.endsWith('/.well-known/genid/'),
+            'FilesystemStore#constructor : expected blankNodes.base to end with /.well-known/genid/', TypeError);
+        assert(util.isBoolean(deskolemize), 'FilesystemStore#constructor : expected blankNodes.deskolemize to be a boolean', TypeError);
+        assert(util.isString(graphDirectory), 'FilesystemStore#constructor : expected graphDirectory to be a string', TypeError);
+        assert(util.isFunction(graphFileName) || graphFileName in fileNameStrategies,
+            'FilesystemStore#constructor : expected graphFileName to be a function or one of ' + Object.keys(fileNameStrategies).join(', '), TypeError);
+        assert(graphFormat in formatExtensions, 'FilesystemStore#constructor : expected graphFormat to be one of ' + Object.keys(formatExtensions).join(', '));
+
+        this.#defaultFile   = defaultFile;
+        this.#watchEnabled  = watch;
+        this.#graphDir      = graphDirectory && path.resolve(graphDirectory);
+        this.#graphFileName = util.isFunction(graphFileName) ? graphFileName : fileNameStrategies[graphFileName];
+        this.#graphFormat   = graphFormat;
+        this.#manifestPath  = (loadDirectory || graphDirectory) && path.resolve(loadDirectory || graphDirectory, manifestFile);
+        this.#journalLimit  = journal === true ? 1048576 : journal ? journal.maxSize : 0;
+        this.#historyLimit  = history ? historyCount : 0;
+        this.#historyDir    = historyDirectory && path.resolve(historyDirectory);
+        this.#historyDelay  = historyInterval;
+        this.#lazyLoading   = !!lazy;
+        this.#canonical     = canonical;
+        this.#prefixes      = canonical ? this.factory.context() : {};
+        this.#quadBudget    = util.isObject(lazy) ? lazy.maxQuads : Infinity;
+        this.#lockMode      = lockMode;
+        this.#lockStaleMS   = lockStaleTimeout;
+        this.#conflictMode  = conflicts || '';
+        this.#readOnly      = readOnly;
+        this.#blankNodeMode = blankNodeStrategy;
+        this.#genidBase     = genidBase;
+        this.#deskolemize   = blankNodeStrategy === 'skolemize' && deskolemize;
+        this.#writePolicy   = normalizeWritePolicy(writePolicy);
+        this.#retryPolicy   = normalizeRetryPolicy(retry);
+        for (let [fileId, filePolicy] of Object.entries(writePolicies)) {
+            this.#writePolicies.set(fileId, normalizeWritePolicy(filePolicy));
+        }
+        this.#encryption = normalizeEncryption(encryption);
+        for (let [fileId, fileEncryption] of Object.entries(encryptions)) {
+            this.#encryptions.set(fileId, normalizeEncryption(fileEncryption));
+        }
 
-        this.#defaultFile  = defaultFile;
+        // The store is ready as soon as every file is registered. Each file is parsed on its own, so that operations
+        // on one graph only wait for that file. In lazy mode, the files are only parsed on their first access.
         this.#readyPromise = (async () => {
-            const resultArr = await rdf.loadDataFiles(loadFiles, factory);
+            const
+                descriptions = loadDirectory ? await this.#discoverFiles(loadDirectory) : await this.#manifestFiles([].concat(loadFiles)),
+                flatArr      = descriptions.filter(isFlatDescription),
+                nestedArr    = descriptions.filter(description => !isFlatDescription(description));
+            // A transaction, that has been interrupted by a crash, is completed or rolled back before any file is parsed.
+            for (let description of descriptions) {
+                if (description['dct:identifier']) await recoverCommit(path.resolve(description['dct:identifier']));
+            }
+            assert(!this.#lazyLoading || nestedArr.length === 0,
+                'FilesystemStore#constructor : expected lazy loadFiles to contain an @id, dct:identifier and dct:format');
+            assert(nestedArr.every(description => !this.#encryptionOf(description['@id'])),
+                'FilesystemStore#constructor : expected encrypted loadFiles to contain an @id, dct:identifier and dct:format');
+            assert(nestedArr.every(description => !description.compression && !splitCompression(description['dct:identifier'] || '').compression),
+                'FilesystemStore#constructor : expected compressed loadFiles to contain an @id, dct:identifier and dct:format');
+            assert(flatArr.every(description => !description.compression || description.compression in compressionExtensions),
+                'FilesystemStore#constructor : expected the compression of loadFiles to be one of ' + Object.keys(compressionExtensions).join(', '));
+            // Load descriptions that require other files cannot be split up and get loaded in one go.
+            const resultArr = flatArr.map(description => ({
+                id:          description['@id'],
+                identifier:  path.resolve(description['dct:identifier']),
+                format:      description['dct:format'],
+                dataset:     null,
+                readOnly:    description.readOnly === true,
+                compression: description.compression || splitCompression(description['dct:identifier']).compression
+            })).concat(nestedArr.length > 0 ? (await rdf.loadDataFiles(nestedArr, factory)).filter(file => file.dataset) : []);
             for (let file of resultArr) {
-                if (file.dataset) {
-                    assert(!this.#files.has(file.id), 'FilesystemStore#constructor : expected file IDs to be unique');
-                    this.#files.set(file.id, file);
-                }
+                assert(!this.#files.has(file.id), 'FilesystemStore#constructor : expected file IDs to be unique');
+                file.writePolicy = this.#writePolicies.get(file.id) || this.#writePolicy;
+                file.readOnly    = this.#readOnly || file.readOnly === true;
+                file.encryption  = this.#encryptionOf(file.id);
+                file.compression = file.compression || null;
+                this.#files.set(file.id, file);
+                if (!file.readOnly) await this.#lockFile(file.identifier);
+                if (file.dataset) file.dataset = await this.#stabilizeBlankNodes(file, file.dataset);
+                await this.#prepareFile(file, file.dataset);
             }
+            // A directory might be empty at first, so the default file gets created like any other graph file.
+            if (loadDirectory && !this.#files.has(defaultFile)) await this.#createGraphFile(defaultFile);
             assert(this.#files.size > 0, 'FilesystemStore#constructor : expected at least one file to be loaded');
             assert(this.#files.has(defaultFile), 'FilesystemStore#constructor : expected files to contain the default');
-        })().then(() => {
+            if (!this.#lazyLoading) {
+                // Failures are emitted as load-error and reported again to the operations on the graph.
+                for (let file of this.#files.values()) {
+                    this.#loadFile(file).catch(() => null);
+                }
+            }
+        })().catch(async (err) => {
+            await this.#unlockFiles();
+            throw err;
+        }).then(() => {
             this.#ready        = true;
             this.#readyPromise = null;
         });
     } // FilesystemStore#constructor
 
+    /**
+     * Reads the manifest, which maps the names of graph files to their graph IRIs, or starts an empty one.
+     * @returns {Promise<void>}
+     */
+    async #readManifest() {
+        try {
+            this.#manifest = JSON.parse(await fs.readFile(this.#manifestPath, 'utf-8'));
+            assert(util.isObject(this.#manifest), 'FilesystemStore##readManifest : expected manifest to be an object', TypeError);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            this.#manifest = {};
+        }
+    } // FilesystemStore##readManifest
+
+    /**
+     * Collects the load descriptions of every RDF file in the directory, recognized by its extension.
+     * The graph IRIs are taken from the manifest, if the file is mapped there, or else from the file URL.
+     * @param {string} directory
+     * @returns {Promise<Array<object>>}
+     */
+    async #discoverFiles(directory) {
+        await this.#readManifest();
+        const loadFiles = [];
+
+        // An interrupted transaction can complete the creation of a graph file, so it is recovered before the listing.
+        for (let fileName of await fs.readdir(directory)) {
+            if (fileName.endsWith('.intent')) await recoverCommit(path.resolve(directory, fileName.slice(0, -'.intent'.length)));
+        }
+        for (let entry of await fs.readdir(directory, {withFileTypes: true})) {
+            // Hidden files are skipped, which includes the temporary files of unfinished writes.
+            if (!entry.isFile() || entry.name.startsWith('.')) continue;
+            // A compression extension like .gz follows the extension of the format.
+            const format = formatOfFileName(entry.name);
+            if (!format) continue;
+            const identifier = path.resolve(directory, entry.name);
+            loadFiles.push({
+                '@id':            this.#manifest[entry.name] || pathToFileURL(identifier).href,
+                'dct:identifier': identifier,
+                'dct:format':     format
+            });
+        }
+
+        return loadFiles;
+    } // FilesystemStore##discoverFiles
+
+    /**
+     * Adds the graph files, that the store has created in the graph directory before, to the given load descriptions.
+     * They are found in the manifest of the graph directory, as their graph IRIs cannot be derived from their names.
+     * @param {Array<object>} loadFiles
+     * @returns {Promise<Array<object>>}
+     */
+    async #manifestFiles(loadFiles) {
+        if (!this.#manifestPath) return loadFiles;
+        await this.#readManifest();
+        const
+            knownIds = new Set(loadFiles.map(description => description['@id'])),
+            result   = loadFiles.slice();
+
+        for (let [fileName, graphId] of Object.entries(this.#manifest)) {
+            const
+                identifier = path.resolve(this.#graphDir, fileName),
+                format     = formatOfFileName(fileName);
+            if (knownIds.has(graphId) || !format || path.dirname(identifier) !== this.#graphDir) continue;
+            await recoverCommit(identifier);
+            if (!await fileExists(identifier)) continue;
+            result.push({
+                '@id':            graphId,
+                'dct:identifier': identifier,
+                'dct:format':     format
+            });
+        }
+
+        return result;
+    } // FilesystemStore##manifestFiles
+
+    /**
+     * Remembers the content hash of a loaded file, replays its journal and starts watching it, as far as enabled.
+     * @param {FileDescription} file
+     * @param {fua.module.persistence.Dataset | null} dataset The parsed content of the file, or null if it is not loaded yet.
+     * @returns {Promise<void>}
+     */
+    async #prepareFile(file, dataset) {
+        if (dataset && (this.#watchEnabled || this.#journalLimit || this.#conflictMode)) {
+            const fileContent = await fs.readFile(file.identifier).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err));
+            if (fileContent) this.#contentHashes.set(file.id, hashContent(fileContent));
+            if (this.#conflictMode) this.#rememberVersion(file, await fileVersionOf(file.identifier, fileContent),
+                fileContent && await this.#decodeContent(file, fileContent));
+
+            if (this.#journalLimit && fileContent) {
+                const journalSize = await this.#replayJournal(file, dataset, this.#contentHashes.get(file.id));
+                // The journal of a read-only file is only replayed, it is never appended to or compacted.
+                if (!file.readOnly) {
+                    this.#journalSizes.set(file.id, journalSize);
+                    if (!journalSize) await fs.rm(journalPathOf(file.identifier), {force: true});
+                }
+            }
+        }
+
+        if (this.#watchEnabled) this.#watchFile(file);
+    } // FilesystemStore##prepareFile
+
+    /**
+     * Parses a file that is not loaded yet, or has been evicted, into its dataset.
+     * @param {FileDescription} file
+     * @returns {Promise<void>}
+     */
+    #loadFile(file) {
+        if (file.dataset) return Promise.resolve();
+        if (this.#loaders.has(file.id)) return this.#loaders.get(file.id);
+        const
+            startTime = Date.now(),
+            fileGraph = this.#graphOf(file.id);
+        const loader = (async () => {
+            // The dataset is only assigned after the journal has been replayed, so that it is never seen incomplete.
+            const dataset = await this.#stabilizeBlankNodes(file, await this.#parseFile(file));
+            await this.#prepareFile(file, dataset);
+            file.dataset = dataset;
+            this.#quadCounts.delete(file.id);
+        })().then(() => {
+            this.#loadTimes.set(file.id, Date.now());
+            this.emit('loaded', fileGraph, {duration: Date.now() - startTime, size: file.dataset.size});
+        }, (err) => {
+            this.emit('load-error', fileGraph, err, {duration: Date.now() - startTime});
+            throw err;
+        }).finally(() => this.#loaders.delete(file.id));
+        this.#loaders.set(file.id, loader);
+        return loader;
+    } // FilesystemStore##loadFile
+
+    /**
+     * Makes sure that the files are loaded. The files are pinned while loading, so that they cannot be evicted
+     * before the caller continues. Evictions only happen in a later macrotask, after the caller has used the datasets.
+     * @param {Iterable<FileDescription>} fileIterable
+     * @returns {Promise<void>}
+     */
+    async #loadFiles(fileIterable) {
+        const
+            fileArr  = Array.from(fileIterable),
+            unpinArr = fileArr.map(file => this.#pinFile(file));
+        try {
+            await Promise.all(fileArr.map(file => this.#loadFile(file)));
+        } finally {
+            unpinArr.forEach(unpin => unpin());
+        }
+    } // FilesystemStore##loadFiles
+
+    /**
+     * Protects a file from eviction, until the returned function is called.
+     * @param {FileDescription} file
+     * @returns {() => void}
+     */
+    #pinFile(file) {
+        this.#pins.set(file.id, (this.#pins.get(file.id) || 0) + 1);
+        this.#accessTimes.set(file.id, Date.now());
+        let pinned = true;
+        return () => {
+            if (!pinned) return;
+            pinned     = false;
+            const pins = this.#pins.get(file.id) - 1;
+            if (pins > 0) this.#pins.set(file.id, pins);
+            else this.#pins.delete(file.id);
+            this.#scheduleEviction();
+        };
+    } // FilesystemStore##pinFile
+
+    #scheduleEviction() {
+        if (this.#evicting || this.#quadBudget === Infinity) return;
+        this.#evicting = true;
+        setImmediate(() => {
+            this.#evicting = false;
+            this.#evictFiles();
+        });
+    } // FilesystemStore##scheduleEviction
+
+    /**
+     * Unloads the least recently used datasets until the loaded quads fit into the budget. Only clean files can be
+     * evicted, which means no pending changes, no running updater and no journal that has not been compacted yet.
+     */
+    #evictFiles() {
+        const loadedArr = Array.from(this.#files.values()).filter(file => file.dataset);
+        let loadedQuads = loadedArr.reduce((sum, file) => sum + file.dataset.size, 0);
+        loadedArr.sort((a, b) => (this.#accessTimes.get(a.id) || 0) - (this.#accessTimes.get(b.id) || 0));
+
+        for (let file of loadedArr) {
+            if (loadedQuads <= this.#quadBudget) break;
+            if (this.#pins.has(file.id) || this.#updateTimesMS.has(file.id) || this.#updaters.has(file.id)
+                || this.#journalBuffer.has(file.id) || this.#journalSizes.get(file.id) || this.#compactions.has(file.id) || this.#rotations.has(file.id)) continue;
+            loadedQuads -= file.dataset.size;
+            this.#quadCounts.set(file.id, file.dataset.size);
+            file.dataset = null;
+        }
+    } // FilesystemStore##evictFiles
+
+    /**
+     * Applies the records of the journal of a file to the dataset. The journal starts with the content hash of the file
+     * it belongs to, so that a journal, which has been left behind by an interrupted compaction, is not applied again.
+     * @param {FileDescription} file
+     * @param {fua.module.persistence.Dataset} dataset
+     * @param {string} contentHash The hash of the current file content.
+     * @returns {Promise<number>} The size of the applied journal, or 0 if there was nothing to apply.
+     */
+    async #replayJournal(file, dataset, contentHash) {
+        let journalContent;
+        try {
+            journalContent = await fs.readFile(journalPathOf(file.identifier), 'utf-8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return 0;
+            throw err;
+        }
+
+        const lineArr = journalContent.split('\n');
+        // The last line is either empty or the unfinished record of an interrupted append,
+        // which has to be removed by a compaction before anything else can be appended.
+        if (lineArr.pop() !== '') this.#compactions.add(file.id);
+        if (lineArr.shift() !== '# ' + contentHash) return 0;
+        for (let line of lineArr) {
+            // The records of an encrypted file are appended as encrypted blocks, one per append.
+            const recordArr = line.startsWith('~ ')
+                ? (await this.#decodeContent(file, Buffer.from(line.substring(2), 'base64'), journalPathOf(file.identifier))).split('\n').slice(0, -1)
+                : [line];
+            for (let record of recordArr) {
+                const [sign, fileQuad] = parseJournalRecord(record, this.factory);
+                if (sign === '+') dataset.add(fileQuad);
+                else dataset.delete(fileQuad);
+            }
+        }
+        return Buffer.byteLength(journalContent);
+    } // FilesystemStore##replayJournal
+
+    /**
+     * Counts the change of a file dataset and buffers it for its journal, if the journal is enabled.
+     * A change with a blank node forces a compaction, unless the blank nodes are stable.
+     * @param {FileDescription} file
+     * @param {string} sign Either + for an added or - for a deleted quad.
+     * @param {fua.module.persistence.Quad} fileQuad
+     */
+    #recordChange(file, sign, fileQuad) {
+        if (sign === '+') this.#counters.added++;
+        else this.#counters.deleted++;
+        if (!this.#journalLimit) return;
+        // Without blankNodes, the labels of blank nodes are not kept across a reload, so that a replayed record
+        // would refer to other blank nodes than the loaded file. Such a change is written with the whole file instead.
+        if (!this.#blankNodeMode && [fileQuad.subject, fileQuad.object, fileQuad.graph].some(term => term.termType === 'BlankNode'))
+            this.#compactions.add(file.id);
+        if (this.#journalBuffer.has(file.id)) {
+            this.#journalBuffer.get(file.id).push(journalRecordOf(sign, fileQuad));
+        } else {
+            this.#journalBuffer.set(file.id, [journalRecordOf(sign, fileQuad)]);
+        }
+    } // FilesystemStore##recordChange
+
+    /**
+     * Takes the lock of a file for the lifetime of the store, if the lock mode is refuse.
+     * @param {string} identifier
+     * @returns {Promise<void>}
+     */
+    async #lockFile(identifier) {
+        if (this.#lockMode !== 'refuse') return;
+        assert(await acquireLock(lockPathOf(identifier), this.#lockStaleMS),
+            'FilesystemStore##lockFile : expected file not to be locked by another process, ' + identifier);
+        this.#holdLock(lockPathOf(identifier));
+    } // FilesystemStore##lockFile
+
+    /**
+     * Releases the lock of a file, if the store holds it.
+     * @param {string} identifier
+     * @returns {Promise<void>}
+     */
+    async #unlockFile(identifier) {
+        await this.#releaseLock(lockPathOf(identifier));
+    } // FilesystemStore##unlockFile
+
+    async #unlockFiles() {
+        for (let lockPath of Array.from(this.#heldLocks)) {
+            await this.#releaseLock(lockPath);
+        }
+    } // FilesystemStore##unlockFiles
+
+    /**
+     * Remembers a lock of the store and refreshes it regularly, so that other processes do not consider it stale.
+     * @param {string} lockPath
+     */
+    #holdLock(lockPath) {
+        this.#heldLocks.add(lockPath);
+        if (this.#lockRefresher) return;
+        this.#lockRefresher = setInterval(() => {
+            const now = new Date();
+            for (let heldPath of this.#heldLocks) {
+                fs.utimes(heldPath, now, now).catch(err => this.emit('error', err));
+            }
+        }, this.#lockStaleMS / 3);
+        this.#lockRefresher.unref();
+    } // FilesystemStore##holdLock
+
+    /**
+     * @param {string} lockPath
+     * @returns {Promise<void>}
+     */
+    async #releaseLock(lockPath) {
+        if (!this.#heldLocks.delete(lockPath)) return;
+        if (this.#heldLocks.size === 0) {
+            clearInterval(this.#lockRefresher);
+            this.#lockRefresher = null;
+        }
+        await fs.rm(lockPath, {force: true});
+    } // FilesystemStore##releaseLock
+
+    /**
+     * Runs a write of several files after the writes, that have been queued for any of them before, and while holding
+     * the locks of every file, if the lock mode is coordinate. The locks are taken in the order of the paths.
+     * @template T
+     * @param {Array<FileDescription>} fileArr
+     * @param {function(): Promise<T>} write
+     * @returns {Promise<T>}
+     */
+    async #exclusiveWrite(fileArr, write) {
+        const
+            lockArr = fileArr.slice().sort((fileA, fileB) => fileA.identifier < fileB.identifier ? -1 : 1),
+            locked  = (index) => index < lockArr.length ? this.#coordinateWrite(lockArr[index], () => locked(index + 1)) : write(),
+            result  = Promise.all(fileArr.map(file => this.#writeQueues.get(file.id))).then(() => locked(0)),
+            queued  = result.then(() => null, () => null);
+        for (let file of fileArr) {
+            this.#writeQueues.set(file.id, queued);
+        }
+        try {
+            return await result;
+        } finally {
+            for (let file of fileArr) {
+                if (this.#writeQueues.get(file.id) === queued) this.#writeQueues.delete(file.id);
+            }
+        }
+    } // FilesystemStore##exclusiveWrite
+
+    /**
+     * Runs the write of a file while holding its lock, if the lock mode is coordinate. The lock is awaited with an
+     * increasing delay, until it is released or becomes stale.
+     * @template T
+     * @param {FileDescription} file
+     * @param {function(): Promise<T>} write
+     * @returns {Promise<T>}
+     */
+    async #coordinateWrite(file, write) {
+        if (this.#lockMode !== 'coordinate') return await write();
+        const
+            lockPath  = lockPathOf(file.identifier),
+            startTime = Date.now();
+        let delay = 10;
+        while (!await acquireLock(lockPath, this.#lockStaleMS)) {
+            assert(Date.now() - startTime < 2 * this.#lockStaleMS,
+                'FilesystemStore##coordinateWrite : expected the lock to be released by the other process, ' + file.identifier);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            delay = Math.min(2 * delay, 1e3);
+        }
+        this.#holdLock(lockPath);
+        try {
+            return await write();
+        } finally {
+            await this.#unlockFile(file.identifier);
+        }
+    } // FilesystemStore##coordinateWrite
+
+    /**
+     * Remembers the version of a file, which the file on disk must still have before it gets written,
+     * and its content as the base of a merge.
+     * @param {FileDescription} file
+     * @param {FileVersion} version
+     * @param {string | Buffer | null} content
+     */
+    #rememberVersion(file, version, content) {
+        this.#fileVersions.set(file.id, version);
+        if (content !== null) this.#baseContents.set(file.id, content.toString());
+        else this.#baseContents.delete(file.id);
+    } // FilesystemStore##rememberVersion
+
+    /**
+     * Checks that the file on disk still has the remembered version. Otherwise, the conflict is emitted and either
+     * resolved with the configured strategy or the write is refused until the conflict gets resolved.
+     * @param {FileDescription} file
+     * @returns {Promise<boolean>} False, if the file must not be written, because it has been resolved with theirs.
+     */
+    async #verifyFile(file) {
+        const version = this.#fileVersions.get(file.id);
+        if (!version) return true;
+        const fileStats = await fs.stat(file.identifier).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err));
+        if (fileStats ? fileStats.mtimeMs === version.mtimeMs && fileStats.size === version.size : !version.hash) return true;
+        const
+            fileContent = await fs.readFile(file.identifier).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err)),
+            diskVersion = await fileVersionOf(file.identifier, fileContent);
+        if (diskVersion.hash === version.hash) {
+            // The file might have been touched without a change, which does not need another check next time.
+            this.#fileVersions.set(file.id, diskVersion);
+            return true;
+        }
+
+        const
+            content   = fileContent !== null ? await this.#decodeContent(file, fileContent) : null,
+            dataset   = content !== null
+                ? await this.#stabilizeBlankNodes(file, await parseContent(content, file.format, this.factory))
+                : new Dataset(null, this.factory),
+            fileGraph = this.#graphOf(file.id);
+        this.#conflicts.set(file.id, {dataset, content, version: diskVersion});
+        this.emit('conflict', fileGraph, dataset);
+        assert(this.#conflictMode !== 'manual', 'FilesystemStore##verifyFile : expected file not to be modified by another program, ' + file.identifier);
+        return await this.#resolveConflict(file, this.#conflictMode);
+    } // FilesystemStore##verifyFile
+
+    /**
+     * Resolves the conflict of a file by keeping the dataset, taking the file content or merging both with the
+     * remembered base, by adding what has been added and deleting what has been deleted to the dataset since.
+     * @param {FileDescription} file
+     * @param {string} strategy One of ours, theirs or merge.
+     * @returns {Promise<boolean>} True, if the dataset has to be written to the file.
+     */
+    async #resolveConflict(file, strategy) {
+        const
+            conflict    = this.#conflicts.get(file.id),
+            baseDataset = (strategy === 'merge' && this.#baseContents.has(file.id))
+                ? await this.#stabilizeBlankNodes(file, await parseContent(this.#baseContents.get(file.id), file.format, this.factory))
+                : new Dataset(null, this.factory),
+            fileGraph   = this.#graphOf(file.id);
+
+        // The target is computed without any await before it is applied, so that no change can be missed.
+        let targetDataset = null;
+        if (strategy === 'theirs') {
+            targetDataset = conflict.dataset;
+        } else if (strategy === 'merge') {
+            targetDataset = new Dataset(null, this.factory);
+            for (let fileQuad of conflict.dataset) {
+                if (!baseDataset.has(fileQuad) || file.dataset.has(fileQuad)) targetDataset.add(fileQuad);
+            }
+            for (let fileQuad of file.dataset) {
+                if (!baseDataset.has(fileQuad)) targetDataset.add(fileQuad);
+            }
+        }
+
+        if (targetDataset) {
+            for (let fileQuad of Array.from(file.dataset)) {
+                if (!targetDataset.has(fileQuad)) {
+                    file.dataset.delete(fileQuad);
+                    this.emit('deleted', this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+                }
+            }
+            for (let fileQuad of targetDataset) {
+                if (!file.dataset.has(fileQuad)) {
+                    file.dataset.add(fileQuad);
+                    this.emit('added', this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+                }
+            }
+        }
+
+        this.#conflicts.delete(file.id);
+        this.#rememberVersion(file, conflict.version, conflict.content);
+        this.#journalBuffer.delete(file.id);
+        if (conflict.content !== null) this.#contentHashes.set(file.id, conflict.version.hash);
+        if (strategy !== 'theirs') {
+            // The journal belongs to the previous content of the file, so the dataset has to be written completely.
+            this.#compactions.add(file.id);
+            return true;
+        }
+
+        // The dataset equals the file now, so the pending update and the journal are obsolete.
+        this.#updateTimesMS.delete(file.id);
+        this.#dirtyTimesMS.delete(file.id);
+        this.#revisions.delete(file.id);
+        this.#clearFailure(file);
+        if (this.#journalSizes.get(file.id)) {
+            await fs.rm(journalPathOf(file.identifier), {force: true});
+            this.#journalSizes.set(file.id, 0);
+        }
+        return false;
+    } // FilesystemStore##resolveConflict
+
+    /**
+     * Replaces the blank nodes of a parsed dataset with stable terms, which are either skolem IRIs or blank nodes with
+     * stable labels. The labels are taken from the label map of the last write, or else derived from the signatures.
+     * @param {FileDescription} file
+     * @param {fua.module.persistence.Dataset} dataset
+     * @returns {Promise<fua.module.persistence.Dataset>}
+     */
+    async #stabilizeBlankNodes(file, dataset) {
+        if (!this.#blankNodeMode) return dataset;
+        const signatureKeys = blankSignatureKeys(dataset);
+        if (signatureKeys.size === 0) return dataset;
+
+        let labelMap = {};
+        try {
+            labelMap = JSON.parse(await fs.readFile(labelMapPathOf(file.identifier), 'utf-8'));
+        } catch (err) {
+            // Without a valid label map, the labels are derived from the signatures alone.
+            if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) throw err;
+        }
+
+        const
+            stableTerms  = new Map(),
+            stableLabels = new Set();
+        for (let [label, key] of signatureKeys) {
+            let stableLabel = util.isObject(labelMap) ? labelMap[key] : null;
+            if (!util.isString(stableLabel) || stableLabels.has(stableLabel))
+                stableLabel = 'g' + hashContent(file.id + '\n' + key).substring(0, 24);
+            stableLabels.add(stableLabel);
+            stableTerms.set(label, this.#blankNodeMode === 'skolemize'
+                ? this.factory.namedNode(this.#genidBase + stableLabel)
+                : this.factory.blankNode(stableLabel));
+        }
+
+        const
+            stableTerm    = (term) => term.termType === 'BlankNode' ? stableTerms.get(term.value) : term,
+            stableDataset = new Dataset(null, this.factory);
+        for (let quad of dataset) {
+            stableDataset.add(this.factory.quad(stableTerm(quad.subject), quad.predicate, stableTerm(quad.object)));
+        }
+        return stableDataset;
+    } // FilesystemStore##stabilizeBlankNodes
+
+    /**
+     * Prepares the dataset of a file for a write, with the skolem IRIs turned into blank nodes again if enabled.
+     * @param {FileDescription} file
+     * @returns {{dataset: fua.module.persistence.Dataset, labelMap: Record<string, string> | null}} The dataset to
+     * serialize and the labels of its blank nodes, which have to be written next to the file.
+     */
+    #persistableDataset(file) {
+        if (!this.#blankNodeMode) return {dataset: file.dataset, labelMap: null};
+        let dataset = file.dataset;
+        if (this.#deskolemize) {
+            const plainTerm = (term) => (term.termType === 'NamedNode' && term.value.startsWith(this.#genidBase))
+                ? this.factory.blankNode(term.value.substring(this.#genidBase.length))
+                : term;
+            dataset         = new Dataset(null, this.factory);
+            for (let quad of file.dataset) {
+                dataset.add(this.factory.quad(plainTerm(quad.subject), quad.predicate, plainTerm(quad.object)));
+            }
+        }
+        const labelMap = {};
+        for (let [label, key] of blankSignatureKeys(dataset)) {
+            labelMap[key] = label;
+        }
+        return {dataset, labelMap};
+    } // FilesystemStore##persistableDataset
+
+    /**
+     * @param {string} fileId
+     * @returns {EncryptionOptions | null} The encryption of the file, which falls back to the one of the store.
+     */
+    #encryptionOf(fileId) {
+        return this.#encryptions.has(fileId) ? this.#encryptions.get(fileId) : this.#encryption;
+    } // FilesystemStore##encryptionOf
+
+    /**
+     * @param {FileDescription} file
+     * @param {string | null} keyId The id of the key to decrypt with, or null for the current key.
+     * @param {string} filePath The encrypted file for the error message.
+     * @returns {Promise<Buffer>}
+     */
+    async #encryptionKey(file, keyId, filePath) {
+        const {key, keyProvider, previousKeys} = file.encryption;
+        if (keyId === null) {
+            const currentKey = key || await keyProvider(file.id, null);
+            assert(isEncryptionKey(currentKey), 'FilesystemStore##encryptionKey : expected the keyProvider to return a Buffer of 32 bytes', TypeError);
+            return currentKey;
+        }
+        let matchingKey = (key ? [key] : []).concat(previousKeys).find(candidate => keyIdOf(candidate) === keyId);
+        if (!matchingKey && keyProvider) matchingKey = await keyProvider(file.id, keyId);
+        assert(isEncryptionKey(matchingKey) && keyIdOf(matchingKey) === keyId,
+            'FilesystemStore##encryptionKey : expected a key with the id ' + keyId + ' to decrypt the file, ' + filePath);
+        return matchingKey;
+    } // FilesystemStore##encryptionKey
+
+    /**
+     * Compresses the serialized content of a file and encrypts it with the current key, as far as enabled for the file.
+     * The compressed content is kept in memory as a whole, because its hash and its snapshot are taken after the write.
+     * @param {FileDescription} file
+     * @param {string} content
+     * @returns {Promise<string | Buffer>}
+     */
+    async #encodeContent(file, content) {
+        const encoded = file.compression ? await compressContent(content, file.compression) : content;
+        if (!file.encryption) return encoded;
+        return encryptContent(Buffer.from(encoded), await this.#encryptionKey(file, null, file.identifier));
+    } // FilesystemStore##encodeContent
+
+    /**
+     * Decrypts the content of a file, if it is encrypted, and decompresses it, if the file is compressed. If the file
+     * itself is not encrypted with the current key yet, it is marked to be written on the next flush, which encrypts it
+     * with the current key.
+     * @param {FileDescription} file
+     * @param {Buffer} content
+     * @param {string} [filePath] The path of the content, if it is not the file itself.
+     * @returns {Promise<string>}
+     */
+    async #decodeContent(file, content, filePath = file.identifier) {
+        const rotatable = !!file.encryption && !file.readOnly && filePath === file.identifier;
+        let decrypted   = content;
+        if (!isEncryptedContent(content)) {
+            if (rotatable) this.#rotations.add(file.id);
+        } else {
+            assert(file.encryption, 'FilesystemStore##decodeContent : expected the encryption to be enabled for the encrypted file, ' + filePath);
+            const keyId = contentKeyIdOf(content);
+            decrypted   = decryptContent(content, await this.#encryptionKey(file, keyId, filePath));
+            assert(decrypted, 'FilesystemStore##decodeContent : expected the content to be authentic, the key is wrong or the file has been tampered with, ' + filePath);
+            if (rotatable && keyId !== keyIdOf(await this.#encryptionKey(file, null, filePath))) this.#rotations.add(file.id);
+            if (rotatable) this.#keyIds.set(file.id, keyId);
+        }
+        return (file.compression ? await decompressContent(decrypted, file.compression) : decrypted).toString();
+    } // FilesystemStore##decodeContent
+
+    /**
+     * Parses a file, or a snapshot of it, into a dataset. Encrypted files are decrypted before, while compressed
+     * files are decompressed as they are parsed, so that the decompressed content is never in memory as a whole.
+     * @param {FileDescription} file
+     * @param {string} [filePath]
+     * @returns {Promise<fua.module.persistence.Dataset>}
+     */
+    async #parseFile(file, filePath = file.identifier) {
+        if (file.encryption) return await parseContent(await this.#decodeContent(file, await fs.readFile(filePath), filePath), file.format, this.factory);
+        if (file.compression) {
+            const decompressor = (file.compression === 'gzip') ? zlib.createGunzip() : zlib.createBrotliDecompress();
+            return await parseQuadStream(pipeline(createReadStream(filePath), decompressor, () => null), file.format, this.factory);
+        }
+        const [loaded] = await rdf.loadDataFiles({
+            '@id':            file.id,
+            'dct:identifier': filePath,
+            'dct:format':     file.format
+        }, this.factory);
+        assert(loaded?.dataset, 'FilesystemStore##parseFile : expected file to be loaded, ' + filePath);
+        return loaded.dataset;
+    } // FilesystemStore##parseFile
+
+    /**
+     * Serializes a dataset for a file, in the canonical form if enabled and available for its format.
+     * @param {FileDescription} file
+     * @param {fua.module.persistence.Dataset} dataset
+     * @returns {Promise<string>}
+     */
+    async #serializeFile(file, dataset) {
+        const canonicalContent = this.#canonical ? serializeCanonical(dataset, file.format, this.#prefixes) : null;
+        return canonicalContent ?? await rdf.serializeDataset(dataset, file.format);
+    } // FilesystemStore##serializeFile
+
+    /**
+     * Writes the labels of the blank nodes next to the file, so that they get the same labels on the next load.
+     * @param {string} identifier
+     * @param {Record<string, string> | null} labelMap
+     * @returns {Promise<void>}
+     */
+    async #writeLabelMap(identifier, labelMap) {
+        if (!labelMap || Object.keys(labelMap).length === 0) return;
+        await writeFileAtomic(labelMapPathOf(identifier), JSON.stringify(labelMap, null, 2));
+    } // FilesystemStore##writeLabelMap
+
+    /**
+     * Appends the buffered records of a file to its journal.
+     * @param {FileDescription} file
+     * @returns {Promise<boolean>} False, if the file has to be written completely instead, which compacts the journal.
+     */
+    async #appendJournal(file) {
+        const recordArr = this.#journalBuffer.get(file.id);
+        // Without records, the file itself has changed, e.g. it is new. Without a content hash, it has never been written.
+        if (!recordArr || !this.#contentHashes.has(file.id) || this.#compactions.has(file.id) || this.#rotations.has(file.id)) return false;
+        this.#journalBuffer.delete(file.id);
+        const startTime = Date.now();
+
+        try {
+            const
+                journalSize    = this.#journalSizes.get(file.id) || 0,
+                recordContent  = file.encryption
+                    ? '~ ' + (await this.#encodeContent(file, recordArr.join(''))).toString('base64') + '\n'
+                    : recordArr.join(''),
+                journalContent = (journalSize ? '' : '# ' + this.#contentHashes.get(file.id) + '\n') + recordContent,
+                journalHandle  = await fs.open(journalPathOf(file.identifier), journalSize ? 'a' : 'w');
+            try {
+                await journalHandle.writeFile(journalContent);
+                await journalHandle.sync();
+            } finally {
+                await journalHandle.close();
+            }
+            this.#journalSizes.set(file.id, journalSize + Buffer.byteLength(journalContent));
+            this.#recordWrite(file, Buffer.byteLength(journalContent), startTime);
+        } catch (err) {
+            // Records might get appended twice after an error, but replaying them is idempotent.
+            this.#journalBuffer.set(file.id, recordArr.concat(this.#journalBuffer.get(file.id) || []));
+            throw err;
+        }
+
+        return this.#journalSizes.get(file.id) <= this.#journalLimit;
+    } // FilesystemStore##appendJournal
+
+    /**
+     * Counts a successful write of a file or its journal, which also clears the error of a previous write,
+     * and emits it as persisted.
+     * @param {FileDescription} file
+     * @param {number} bytes The number of written bytes.
+     * @param {number} startTime When the write has started.
+     */
+    #recordWrite(file, bytes, startTime) {
+        const nowMS = Date.now();
+        this.#persistTimes.set(file.id, nowMS);
+        this.#clearFailure(file);
+        this.#counters.writes++;
+        this.emit('persisted', this.#graphOf(file.id), {bytes, duration: nowMS - startTime});
+    } // FilesystemStore##recordWrite
+
+    /**
+     * Writes the complete dataset of a file and removes its journal, because it is contained in the file afterwards.
+     * @param {FileDescription} file
+     * @returns {Promise<void>}
+     */
+    async #writeFile(file) {
+        const
+            recordArr  = this.#journalBuffer.get(file.id),
+            compaction = this.#compactions.has(file.id),
+            rotation   = this.#rotations.has(file.id),
+            startTime  = Date.now();
+        this.#journalBuffer.delete(file.id);
+        this.#compactions.delete(file.id);
+        this.#rotations.delete(file.id);
+
+        const contentHash = this.#contentHashes.get(file.id);
+        let diskContent   = null;
+        try {
+            const {dataset, labelMap} = this.#persistableDataset(file);
+            const fileContent         = await this.#serializeFile(file, dataset);
+            // The hash is expected before the rename, so that the watcher does not take the new content for an external edit.
+            const expectHash = (this.#watchEnabled || this.#journalLimit) ? ({hash}) => this.#contentHashes.set(file.id, hash) : undefined;
+            let written;
+            if (file.compression && !file.encryption) {
+                // The content is compressed as it is written, only an encryption needs the compressed content as a whole.
+                const compressor = (file.compression === 'gzip') ? zlib.createGzip() : zlib.createBrotliCompress();
+                written          = await writeFileAtomic(file.identifier, pipeline(Readable.from([fileContent]), compressor, () => null), expectHash);
+            } else {
+                diskContent = await this.#encodeContent(file, fileContent);
+                written     = await writeFileAtomic(file.identifier, diskContent, expectHash);
+            }
+            await this.#writeLabelMap(file.identifier, labelMap);
+            if (file.encryption) this.#keyIds.set(file.id, contentKeyIdOf(diskContent));
+            if (this.#conflictMode) {
+                const {mtimeMs} = await fs.stat(file.identifier);
+                this.#rememberVersion(file, {mtimeMs, size: written.size, hash: written.hash}, fileContent);
+            }
+            this.#recordWrite(file, written.size, startTime);
+        } catch (err) {
+            if (recordArr) this.#journalBuffer.set(file.id, recordArr.concat(this.#journalBuffer.get(file.id) || []));
+            if (compaction) this.#compactions.add(file.id);
+            if (rotation) this.#rotations.add(file.id);
+            if (contentHash) this.#contentHashes.set(file.id, contentHash);
+            throw err;
+        }
+
+        if (this.#journalSizes.get(file.id)) {
+            await fs.rm(journalPathOf(file.identifier), {force: true});
+            this.#journalSizes.set(file.id, 0);
+        }
+        // The file itself has been written, so a failed snapshot is only reported and does not count as a failed write.
+        if (this.#historyLimit) await this.#takeSnapshot(file, diskContent).catch(err => this.emit('error', err));
+    } // FilesystemStore##writeFile
+
+    /**
+     * Writes the complete datasets of several files as one unit. The content of each file is staged in a synced
+     * temporary file, which an intent next to the file refers to, before a single commit marker completes the unit.
+     * Only then the staged files replace the files. After a crash, the next load completes the intents, if the
+     * commit marker exists, or removes them otherwise, so that either every file or none contains the new content.
+     * @param {Array<FileDescription>} fileArr
+     * @returns {Promise<void>}
+     */
+    async #commitFiles(fileArr) {
+        const
+            commitPath = path.join(path.dirname(fileArr[0].identifier), '.' + crypto.randomBytes(6).toString('hex') + '.commit'),
+            startTime  = Date.now(),
+            // The pending journal records, compactions and rotations are contained in the written files.
+            pendingArr = fileArr.map(file => ({
+                recordArr:  this.#journalBuffer.get(file.id),
+                compaction: this.#compactions.delete(file.id),
+                rotation:   this.#rotations.delete(file.id),
+                revision:   this.#revisions.get(file.id)
+            })),
+            stagedArr  = [];
+        for (let file of fileArr) {
+            this.#journalBuffer.delete(file.id);
+        }
+
+        try {
+            for (let file of fileArr) {
+                const {dataset, labelMap} = this.#persistableDataset(file);
+                const fileContent         = await this.#serializeFile(file, dataset);
+                const diskContent         = await this.#encodeContent(file, fileContent);
+                const staged              = {file, fileContent, diskContent, labelMap, ...await writeTempFile(file.identifier, diskContent)};
+                stagedArr.push(staged);
+                await writeFileAtomic(intentPathOf(file.identifier), JSON.stringify({commit: commitPath, tmp: staged.tmpPath, target: staged.targetPath}));
+            }
+            await writeFileAtomic(commitPath, '');
+        } catch (err) {
+            for (let {file, tmpPath} of stagedArr) {
+                await fs.rm(tmpPath, {force: true});
+                await fs.rm(intentPathOf(file.identifier), {force: true});
+            }
+            fileArr.forEach((file, index) => {
+                const {recordArr, compaction, rotation} = pendingArr[index];
+                if (recordArr) this.#journalBuffer.set(file.id, recordArr.concat(this.#journalBuffer.get(file.id) || []));
+                if (compaction) this.#compactions.add(file.id);
+                if (rotation) this.#rotations.add(file.id);
+            });
+            throw err;
+        }
+
+        // From here on the unit is committed. A file that cannot be replaced gets its intent removed, because it would
+        // overwrite later writes on the next load, and is written completely by its updater instead.
+        for (let staged of stagedArr) {
+            const {file, fileContent, diskContent, labelMap, tmpPath, targetPath, size, hash} = staged;
+            const contentHash = this.#contentHashes.get(file.id);
+            try {
+                if (this.#watchEnabled || this.#journalLimit) this.#contentHashes.set(file.id, hash);
+                await fs.rename(tmpPath, targetPath);
+                await syncDirectory(path.dirname(targetPath));
+            } catch (err) {
+                if (contentHash) this.#contentHashes.set(file.id, contentHash);
+                staged.failure = err;
+                await fs.rm(tmpPath, {force: true}).catch(() => null);
+                await fs.rm(intentPathOf(file.identifier), {force: true}).catch(() => null);
+                this.#compactions.add(file.id);
+                this.#scheduleFileUpdate(file.id);
+                this.emit('error', err);
+                continue;
+            }
+            await this.#writeLabelMap(file.identifier, labelMap);
+            if (file.encryption) this.#keyIds.set(file.id, contentKeyIdOf(diskContent));
+            if (this.#conflictMode) {
+                const {mtimeMs} = await fs.stat(file.identifier);
+                this.#rememberVersion(file, {mtimeMs, size, hash}, fileContent);
+            }
+            if (this.#journalSizes.get(file.id)) {
+                await fs.rm(journalPathOf(file.identifier), {force: true});
+                this.#journalSizes.set(file.id, 0);
+            }
+            await fs.rm(intentPathOf(file.identifier), {force: true});
+            this.#recordWrite(file, size, startTime);
+        }
+        await fs.rm(commitPath, {force: true});
+
+        // A file without changes since the commit has started is clean now, a waiting updater has nothing left to do.
+        fileArr.forEach((file, index) => {
+            if (stagedArr[index].failure || this.#revisions.get(file.id) !== pendingArr[index].revision) return;
+            this.#updateTimesMS.delete(file.id);
+            this.#revisions.delete(file.id);
+            this.#dirtyTimesMS.delete(file.id);
+            if (this.#updateWakers.has(file.id)) this.#updateWakers.get(file.id)();
+        });
+        if (this.#historyLimit) {
+            for (let {file, diskContent, failure} of stagedArr) {
+                if (!failure) await this.#takeSnapshot(file, diskContent).catch(err => this.emit('error', err));
+            }
+        }
+    } // FilesystemStore##commitFiles
+
+    /**
+     * @param {FileDescription} file
+     * @returns {string} The path of the snapshots of the file without timestamp and extension.
+     */
+    #snapshotPrefix(file) {
+        // A file name alone is not unique inside a shared history directory, so it is prefixed with a hash of the path.
+        return this.#historyDir
+            ? path.join(this.#historyDir, fileNameStrategies.hash(file.identifier).substring(0, 16) + '.' + path.basename(file.identifier))
+            : file.identifier;
+    } // FilesystemStore##snapshotPrefix
+
+    /**
+     * @param {FileDescription} file
+     * @param {string} [snapshotPrefix] The path of the snapshots, if the file has been stored at another path before.
+     * @returns {Promise<Array<{timestamp: number, path: string}>>} The snapshots of the file, the oldest first.
+     */
+    async #findSnapshots(file, snapshotPrefix = this.#snapshotPrefix(file)) {
+        const
+            snapshotDir    = path.dirname(snapshotPrefix),
+            namePrefix     = path.basename(snapshotPrefix) + '.',
+            nameSuffix     = '.snapshot';
+
+        let fileNameArr;
+        try {
+            fileNameArr = await fs.readdir(snapshotDir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+
+        return fileNameArr
+            .filter(fileName => fileName.startsWith(namePrefix) && fileName.endsWith(nameSuffix)
+                && /^\d+$/.test(fileName.slice(namePrefix.length, -nameSuffix.length)))
+            .map(fileName => ({
+                timestamp: Number(fileName.slice(namePrefix.length, -nameSuffix.length)),
+                path:      path.join(snapshotDir, fileName)
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    } // FilesystemStore##findSnapshots
+
+    /**
+     * Keeps the written content of a file as a timestamped snapshot and removes the oldest snapshots beyond the limit.
+     * @param {FileDescription} file
+     * @param {string|Buffer|null} fileContent The written content, or null to stream it from the file.
+     * @returns {Promise<void>}
+     */
+    async #takeSnapshot(file, fileContent) {
+        const nowMS = Date.now();
+        if (nowMS - (this.#snapshotTimes.get(file.id) || 0) < this.#historyDelay) return;
+        const snapshotPath = this.#snapshotPrefix(file) + '.' + nowMS + '.snapshot';
+        await fs.mkdir(path.dirname(snapshotPath), {recursive: true});
+        await writeFileAtomic(snapshotPath, fileContent ?? createReadStream(file.identifier));
+        this.#snapshotTimes.set(file.id, nowMS);
+
+        const snapshotArr = await this.#findSnapshots(file);
+        for (let snapshot of snapshotArr.slice(0, Math.max(0, snapshotArr.length - this.#historyLimit))) {
+            await fs.rm(snapshot.path, {force: true});
+        }
+    } // FilesystemStore##takeSnapshot
+
+    /**
+     * @param {FileDescription} file
+     * @param {number} timestamp
+     * @param {string} method The public method for the error message.
+     * @returns {Promise<fua.module.persistence.Dataset>} The content of the snapshot.
+     */
+    async #loadSnapshot(file, timestamp, method) {
+        const snapshot = (await this.#findSnapshots(file)).find(snapshot => snapshot.timestamp === timestamp);
+        assert(snapshot, 'FilesystemStore#' + method + ' : expected snapshot to exist');
+        return await this.#stabilizeBlankNodes(file, await this.#parseFile(file, snapshot.path));
+    } // FilesystemStore##loadSnapshot
+
+    /**
+     * @param {string} fileId
+     * @returns {fua.module.persistence.DefaultGraph | fua.module.persistence.NamedNode} The graph of the file.
+     */
+    #graphOf(fileId) {
+        return (fileId === this.#defaultFile) ? this.factory.defaultGraph() : this.factory.namedNode(fileId);
+    } // FilesystemStore##graphOf
+
+    /**
+     * @param {fua.module.persistence.Term} graph
+     * @param {string} method The public method for the error message.
+     * @returns {FileDescription} The file of a known graph.
+     */
+    #getFile(graph, method) {
+        if (this.factory.isDefaultGraph(graph)) return this.#files.get(this.#defaultFile);
+        assert(this.factory.isNamedNode(graph), 'FilesystemStore#' + method + ' : expected graph to be a NamedNode');
+        assert(this.#files.has(graph.value), 'FilesystemStore#' + method + ' : expected graph to be known');
+        return this.#files.get(graph.value);
+    } // FilesystemStore##getFile
+
+    /**
+     * @param {FileDescription} file
+     * @param {string} method
+     */
+    #assertWritable(file, method) {
+        assert(!file.readOnly, 'FilesystemStore#' + method + ' : expected graph not to be read-only, ' + file.id);
+        const failingSince = this.#failingSince.get(file.id);
+        if (this.#retryPolicy?.rejectAfter && failingSince !== undefined) {
+            assert(Date.now() - failingSince < this.#retryPolicy.rejectAfter,
+                'FilesystemStore#' + method + ' : expected graph to be writable, its writes have failed since ' + new Date(failingSince).toISOString() + ', ' + file.id);
+        }
+    } // FilesystemStore##assertWritable
+
+    /**
+     * Read-only graphs are skipped by an unscoped mutation, but a graph, whose mutations are rejected because of failing
+     * writes, rejects the whole mutation, so that no matches are silently left behind.
+     * @param {string} method The public method for the error message.
+     * @returns {Array<FileDescription>} The files that an unscoped mutation applies to.
+     */
+    #unscopedFiles(method) {
+        const fileArr = Array.from(this.#files.values()).filter(file => !file.readOnly);
+        for (let file of fileArr) {
+            this.#assertWritable(file, method);
+        }
+        return fileArr;
+    } // FilesystemStore##unscopedFiles
+
+    /**
+     * Writes the current manifest after any previous manifest write has finished.
+     * @returns {Promise<void>}
+     */
+    #writeManifest() {
+        this.#manifestWrite = this.#manifestWrite
+            .catch(() => null)
+            .then(() => writeFileAtomic(this.#manifestPath, JSON.stringify(this.#manifest, null, 2)));
+        return this.#manifestWrite;
+    } // FilesystemStore##writeManifest
+
     #scheduleFileUpdate(fileId) {
         // console.log('FilesystemStore##scheduleFileUpdate for ' + fileId);
-        if (this.#updateTimesMS.has(fileId)) {
-            // If the updateTimes already contains the fileId, it means that the updater is already started.
-            // In that case just update the time, the updater will do the rest.
-            this.#updateTimesMS.set(fileId, Date.now() + this.#updateDelayMS);
-        } else {
-            // If the updateTimes does not contain the fileId, the time has to be set regardless.
-            // After that, a writable fileHandler needs to be acquired and the startFileUpdater method will do the rest.
-            // This fileHandler will be used as long as the updater is not finished to block the process from exiting early.
-            // After the updater is finished, the fileHandler will be closed be the updater itself to free resources.
-            const file = this.#files.get(fileId);
-            this.#updateTimesMS.set(fileId, Date.now() + this.#updateDelayMS);
-            fs.open(file.identifier, 'w')
-                .then(fileHandle => this.#startFileUpdater(file, fileHandle))
-                .catch(err => this.emit('error', err));
+        // Every change increases the revision of the file, so that the updater can tell whether the written content
+        // is still up to date. The first change after a write marks the time since when the file is dirty.
+        const
+            file   = this.#files.get(fileId),
+            policy = file.writePolicy,
+            nowMS  = Date.now();
+        if (file.readOnly) return;
+        this.#revisions.set(fileId, (this.#revisions.get(fileId) || 0) + 1);
+        if (!this.#dirtyTimesMS.has(fileId)) this.#dirtyTimesMS.set(fileId, nowMS);
+
+        // The updateTime has to be set according to the write policy, an already running updater will pick it up by itself.
+        switch (policy.mode) {
+            case 'immediate':
+                this.#updateTimesMS.set(fileId, nowMS);
+                break;
+            case 'debounce':
+                this.#updateTimesMS.set(fileId, Math.min(nowMS + policy.delay, this.#dirtyTimesMS.get(fileId) + policy.maxWait));
+                break;
+            case 'interval':
+                // A pending updateTime is not postponed, only a passed one is replaced by the next interval.
+                if (!(this.#updateTimesMS.get(fileId) > nowMS)) this.#updateTimesMS.set(fileId, nowMS + policy.interval);
+                break;
+            case 'manual':
+                // An infinite updateTime marks the file as dirty without ever starting an updater, only flush will.
+                this.#updateTimesMS.set(fileId, Infinity);
+                break;
         }
+
+        const updateTimeMS = this.#updateTimesMS.get(fileId);
+        this.emit('persist-scheduled', this.#graphOf(fileId), {deadline: updateTimeMS === Infinity ? null : updateTimeMS});
+        if (updateTimeMS === Infinity) return;
+
+        // If no updater is running for the file, the startFileUpdater method will do the rest. The file itself
+        // is not touched until the new content is completely written to a temporary file next to it.
+        if (!this.#updaters.has(fileId)) this.#startFileUpdater(file);
     } // FilesystemStore##scheduleFileUpdate
 
-    #startFileUpdater(file, fileHandle) {
+    #startFileUpdater(file) {
         // console.log('FilesystemStore##startFileUpdater for ' + file.id);
-        // Get the current updateTime and timeout for the rest of the time.
-        let updateTimeMS = this.#updateTimesMS.get(file.id);
-        setTimeout(async () => {
+        // The updater runs as long as an updateTime is present for the file. Its promise resolves with
+        // the error of the last failed write, or null, so that flush can report the outcome.
+        const updater = (async () => {
+            let failure = null;
             try {
-                // Check the updateTime again after waiting and start a new updater if necessary.
-                updateTimeMS = this.#updateTimesMS.get(file.id);
-                if (Date.now() < updateTimeMS) return this.#startFileUpdater(file, fileHandle);
-
-                // Serialize the files dataset in the correct format and check if the updateTime has changed in the meantime.
-                const fileContent = await rdf.serializeDataset(file.dataset, file.format);
-                updateTimeMS      = this.#updateTimesMS.get(file.id);
-                if (Date.now() < updateTimeMS) return this.#startFileUpdater(file, fileHandle);
-
-                // Write the serialized dataset back to the file and check if the updateTime has changed in the meantime.
-                await fileHandle.writeFile(fileContent);
-                updateTimeMS = this.#updateTimesMS.get(file.id);
-                if (Date.now() < updateTimeMS) return this.#startFileUpdater(file, fileHandle);
-
-                // At this point, no changes to the updateTime has occurred so the updateTime can be deleted
-                // and the fileHandler be closed to let scheduleFileUpdate start a fresh updater again.
-                this.#updateTimesMS.delete(file.id);
-                await fileHandle.close();
+                while (this.#updateTimesMS.has(file.id)) {
+                    // Wait for the rest of the time. A flush can wake the updater up early,
+                    // but a file with a manual write policy is left alone until then.
+                    const updateTimeMS = this.#updateTimesMS.get(file.id);
+                    if (updateTimeMS === Infinity) break;
+                    if (Date.now() < updateTimeMS) {
+                        await new Promise((resolve) => {
+                            const timeout = setTimeout(resolve, updateTimeMS - Date.now());
+                            this.#updateWakers.set(file.id, () => {
+                                clearTimeout(timeout);
+                                resolve();
+                            });
+                        });
+                        this.#updateWakers.delete(file.id);
+                        continue;
+                    }
+
+                    // Changes from now on make the file dirty again.
+                    const revision = this.#revisions.get(file.id);
+                    this.#dirtyTimesMS.delete(file.id);
+
+                    // Append the changes to the journal, if enabled, or else replace the file atomically with the
+                    // serialized dataset. If the revision has not changed in the meantime, the updateTime can be deleted
+                    // to let scheduleFileUpdate start a fresh updater again.
+                    await this.#exclusiveWrite([file], async () => {
+                        if (this.#conflictMode && !await this.#verifyFile(file)) return;
+                        if (!this.#journalLimit || !await this.#appendJournal(file)) await this.#writeFile(file);
+                    });
+                    if (this.#revisions.get(file.id) === revision) {
+                        this.#updateTimesMS.delete(file.id);
+                        this.#revisions.delete(file.id);
+                    }
+                }
             } catch (err) {
-                // In case of an error in the serialization or the file write, the fileHandler still needs to be closed.
-                this.emit('error', err);
-                await fileHandle.close();
+                // In case of an error in the serialization or the file write, the original file is still intact
+                // and the updateTime remains, so that a retry, the next change or a flush will try again.
+                failure = err;
             }
-        }, Math.max(0, updateTimeMS - Date.now()));
+            this.#updaters.delete(file.id);
+            if (failure && this.#files.get(file.id) === file) {
+                this.#writeErrors.set(file.id, failure);
+                this.#counters.writeErrors++;
+                if (!this.#failingSince.has(file.id)) this.#failingSince.set(file.id, Date.now());
+                this.#failedWrites.set(file.id, (this.#failedWrites.get(file.id) || 0) + 1);
+                this.emit('write-error', this.#graphOf(file.id), failure, {dirty: this.#updateTimesMS.has(file.id)});
+                this.#scheduleRetry(file);
+            }
+            if (this.#lazyLoading) this.#scheduleEviction();
+            // An unresolved conflict has already been emitted as such.
+            if (failure && !this.#conflicts.has(file.id)) this.emit('error', failure);
+            return failure;
+        })();
+        this.#updaters.set(file.id, updater);
+        return updater;
     } // FilesystemStore##startFileUpdater
 
-    async size() {
-        this.#ready || await this.#readyPromise;
-        let size = 0;
-        for (let file of this.#files.values()) {
-            size += file.dataset.size;
+    /**
+     * Starts the updater of a file with pending changes again after a failed write. The delay grows exponentially
+     * with the number of failed writes in a row. A conflict is not retried, because it has to be resolved first.
+     * @param {FileDescription} file
+     */
+    #scheduleRetry(file) {
+        if (!this.#retryPolicy || this.#closed || !this.#updateTimesMS.has(file.id) || this.#conflicts.has(file.id)) return;
+        const
+            {initialDelay, maxDelay, factor} = this.#retryPolicy,
+            delay                            = Math.min(initialDelay * factor ** (this.#failedWrites.get(file.id) - 1), maxDelay);
+        clearTimeout(this.#retryTimers.get(file.id));
+        this.#retryTimesMS.set(file.id, Date.now() + delay);
+        this.#retryTimers.set(file.id, setTimeout(() => {
+            this.#retryTimers.delete(file.id);
+            this.#retryTimesMS.delete(file.id);
+            // A change or flush in the meantime might have started the updater already.
+            if (this.#closed || this.#files.get(file.id) !== file || !this.#updateTimesMS.has(file.id) || this.#updaters.has(file.id)) return;
+            this.#updateTimesMS.set(file.id, Date.now());
+            this.#startFileUpdater(file);
+        }, delay));
+    } // FilesystemStore##scheduleRetry
+
+    /**
+     * Forgets the failed writes of a file, after it has been written or does not have to be written anymore.
+     * @param {FileDescription} file
+     */
+    #clearFailure(file) {
+        this.#writeErrors.delete(file.id);
+        this.#failingSince.delete(file.id);
+        this.#failedWrites.delete(file.id);
+        clearTimeout(this.#retryTimers.get(file.id));
+        this.#retryTimers.delete(file.id);
+        this.#retryTimesMS.delete(file.id);
+    } // FilesystemStore##clearFailure
+
+    /**
+     * Moves the state of a file from its old to its new id, so that nothing stays behind under the old id.
+     * @param {string} fileId
+     * @param {string} newFileId
+     */
+    #moveFileState(fileId, newFileId) {
+        for (let fileMap of [this.#updateTimesMS, this.#dirtyTimesMS, this.#revisions, this.#updaters, this.#updateWakers, this.#writeQueues,
+            this.#reloadTimers, this.#contentHashes, this.#journalBuffer, this.#journalSizes, this.#snapshotTimes, this.#loaders, this.#keyIds,
+            this.#pins, this.#accessTimes, this.#quadCounts, this.#fileVersions, this.#baseContents, this.#conflicts, this.#loadTimes,
+            this.#persistTimes, this.#writeErrors, this.#failingSince, this.#failedWrites, this.#retryTimers, this.#retryTimesMS]) {
+            if (fileMap.has(fileId)) fileMap.set(newFileId, fileMap.get(fileId));
+            fileMap.delete(fileId);
         }
-        return size;
-    } // FilesystemStore#size
+        for (let fileSet of [this.#compactions, this.#rotations]) {
+            if (fileSet.delete(fileId)) fileSet.add(newFileId);
+        }
+    } // FilesystemStore##moveFileState
+
+    /**
+     * Checks the staged changes of a transaction as a whole, creates the files of new graphs in the graph directory
+     * and loads every file the changes refer to. Every quad must belong to a known graph or to a graph, whose file can be
+     * created. Everything is checked before the first file is created, so that a rejected change leaves no graph behind.
+     * @param {Array<[string, any]>} changeArr The staged changes, with + for an added, - for a deleted quad and * for a pattern.
+     * @param {string} method The public method for the error messages.
+     * @returns {Promise<{fileArr: Array<FileDescription | null>, loadedArr: Array<FileDescription>}>}
+     * The file of each added or deleted quad and every file, that the changes can affect.
+     */
+    async #prepareChanges(changeArr, method) {
+        const newGraphIds = new Set(this.#graphDir ? changeArr
+            .filter(([sign, quad]) => sign === '+' && this.factory.isNamedNode(quad.graph) && !this.#files.has(quad.graph.value))
+            .map(([sign, quad]) => quad.graph.value) : []);
+        const graphIdArr  = changeArr.map(([sign, quad]) => {
+            if (sign === '*') return null;
+            if (this.factory.isDefaultGraph(quad.graph)) return this.#defaultFile;
+            assert(this.factory.isNamedNode(quad.graph), 'FilesystemStore#' + method + ' : expected quad.graph to be a NamedNode');
+            assert(this.#files.has(quad.graph.value) || newGraphIds.has(quad.graph.value),
+                'FilesystemStore#' + method + ' : expected quad to contain a known graph');
+            return quad.graph.value;
+        });
+        for (let graphId of graphIdArr) {
+            if (graphId && this.#files.has(graphId)) this.#assertWritable(this.#files.get(graphId), method);
+        }
+        for (let [sign, change] of changeArr) {
+            if (sign !== '*') continue;
+            if (!change[3]) {
+                this.#unscopedFiles(method);
+                continue;
+            }
+            const file = this.factory.isDefaultGraph(change[3]) ? this.#files.get(this.#defaultFile) : this.#files.get(change[3].value);
+            if (file) this.#assertWritable(file, method);
+        }
+
+        for (let graphId of newGraphIds) {
+            if (!this.#files.has(graphId)) await this.#createGraphFile(graphId);
+        }
+        const fileArr = graphIdArr.map(graphId => graphId && this.#files.get(graphId));
+
+        const
+            unscoped  = changeArr.some(([sign, change]) => sign === '*' && !change[3]),
+            loadedArr = unscoped ? Array.from(this.#files.values()).filter(file => !file.readOnly) : Array.from(new Set(changeArr.map(([sign, change], index) => {
+                if (sign !== '*') return fileArr[index];
+                const graph = change[3];
+                return this.factory.isDefaultGraph(graph) ? this.#files.get(this.#defaultFile) : this.#files.get(graph.value);
+            }).filter(file => file)));
+        await this.#loadFiles(loadedArr);
+        return {fileArr, loadedArr};
+    } // FilesystemStore##prepareChanges
+
+    /**
+     * Applies the prepared changes to the datasets of their files, without any await in between.
+     * @param {Array<[string, any]>} changeArr
+     * @param {Array<FileDescription | null>} fileArr The file of each added or deleted quad.
+     * @returns {Array<[FileDescription, string, fua.module.persistence.Quad, fua.module.persistence.Quad]>}
+     * The applied changes with their file, the sign, the quad in the file and the quad in the store.
+     */
+    #applyChanges(changeArr, fileArr) {
+        const appliedArr = [];
+        changeArr.forEach(([sign, change], index) => {
+            if (sign === '*') {
+                const [subject, predicate, object, graph] = change;
+                let fileIterable;
+                if (!graph) fileIterable = Array.from(this.#files.values()).filter(file => !file.readOnly);
+                else if (this.factory.isDefaultGraph(graph)) fileIterable = [this.#files.get(this.#defaultFile)];
+                else fileIterable = this.#files.has(graph.value) ? [this.#files.get(graph.value)] : [];
+
+                for (let file of fileIterable) {
+                    const fileGraph = this.#graphOf(file.id);
+                    for (let fileQuad of file.dataset.match(subject, predicate, object)) {
+                        file.dataset.delete(fileQuad);
+                        appliedArr.push([file, '-', fileQuad, this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph)]);
+                    }
+                }
+            } else {
+                const
+                    file     = fileArr[index],
+                    fileQuad = this.factory.quad(change.subject, change.predicate, change.object);
+                if (sign === '+' && !file.dataset.has(fileQuad)) {
+                    file.dataset.add(fileQuad);
+                    appliedArr.push([file, '+', fileQuad, change]);
+                } else if (sign === '-' && file.dataset.has(fileQuad)) {
+                    file.dataset.delete(fileQuad);
+                    appliedArr.push([file, '-', fileQuad, change]);
+                }
+            }
+        });
+        return appliedArr;
+    } // FilesystemStore##applyChanges
+
+    /**
+     * Registers a new file for a previously unknown named graph in the graph directory. An already existing file
+     * is loaded, so that nothing gets overwritten, otherwise the file is written by the next update.
+     * @param {string} graphId
+     * @returns {Promise<FileDescription>}
+     */
+    #createGraphFile(graphId) {
+        if (this.#graphCreators.has(graphId)) return this.#graphCreators.get(graphId);
+        assert(!this.#readOnly, 'FilesystemStore##createGraphFile : expected store not to be read-only');
+        const creator = (async () => {
+            const
+                fileName   = this.#graphFileName(graphId) + formatExtensions[this.#graphFormat],
+                identifier = path.join(this.#graphDir, fileName),
+                file       = {
+                    id:          graphId,
+                    identifier:  identifier,
+                    format:      this.#graphFormat,
+                    dataset:     null,
+                    writePolicy: this.#writePolicies.get(graphId) || this.#writePolicy,
+                    readOnly:    false,
+                    encryption:  this.#encryptionOf(graphId),
+                    compression: null
+                };
+
+            assert(path.dirname(identifier) === this.#graphDir, 'FilesystemStore##createGraphFile : expected file name to be inside the graph directory');
+            await fs.mkdir(this.#graphDir, {recursive: true});
+            await this.#lockFile(identifier);
+            await recoverCommit(identifier);
+            const exists = await fileExists(identifier);
+            if (exists) {
+                file.dataset = await this.#stabilizeBlankNodes(file, await this.#parseFile(file));
+                this.#loadTimes.set(graphId, Date.now());
+            } else {
+                file.dataset = new Dataset(null, this.factory);
+            }
+
+            assert(!this.#files.has(graphId), 'FilesystemStore##createGraphFile : expected graph to be unknown');
+            this.#files.set(graphId, file);
+            if (!exists) this.#scheduleFileUpdate(graphId);
+            if (this.#manifest && path.dirname(this.#manifestPath) === this.#graphDir) {
+                // The graph IRI cannot be derived from the file name, so the manifest keeps it for the next load.
+                this.#manifest[fileName] = graphId;
+                await this.#writeManifest();
+            }
+            await this.#prepareFile(file, file.dataset);
+            this.emit('created', this.#graphOf(graphId));
+            return file;
+        })().finally(() => this.#graphCreators.delete(graphId));
+        this.#graphCreators.set(graphId, creator);
+        return creator;
+    } // FilesystemStore##createGraphFile
+
+    /**
+     * Watches the directory of the file, because the file itself gets replaced on every write.
+     * Changes to the file are debounced and then reloaded into its dataset.
+     * @param {FileDescription} file
+     */
+    #watchFile(file) {
+        const fileDir = path.dirname(file.identifier);
+        if (this.#watchers.has(fileDir)) return;
+        const watcher = watch(fileDir, (eventType, fileName) => {
+            if (!fileName) return;
+            for (let file of this.#files.values()) {
+                if (path.dirname(file.identifier) !== fileDir || path.basename(file.identifier) !== fileName) continue;
+                clearTimeout(this.#reloadTimers.get(file.id));
+                this.#reloadTimers.set(file.id, setTimeout(() => {
+                    this.#reloadTimers.delete(file.id);
+                    this.#reloadFile(file).catch(err => this.emit('error', err));
+                }, this.#watchDelayMS));
+            }
+        });
+        watcher.on('error', err => this.emit('error', err));
+        this.#watchers.set(fileDir, watcher);
+    } // FilesystemStore##watchFile
+
+    /**
+     * Parses the file again, if its content differs from what was loaded or written last, and applies the difference
+     * to its dataset. If the dataset has unsaved changes, a conflict is emitted with the parsed dataset instead.
+     * @param {FileDescription} file
+     * @returns {Promise<void>}
+     */
+    async #reloadFile(file) {
+        let fileContent;
+        try {
+            fileContent = await fs.readFile(file.identifier);
+        } catch (err) {
+            // A file that has been removed or is currently replaced by an editor has nothing to reload.
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+
+        const contentHash = hashContent(fileContent);
+        if (contentHash === this.#contentHashes.get(file.id)) return;
+        this.#contentHashes.set(file.id, contentHash);
+        // A file that is not loaded has no changes to compare with, it will be parsed fresh on the next access.
+        if (!file.dataset && !this.#loaders.has(file.id)) {
+            this.#quadCounts.delete(file.id);
+            return;
+        }
+        // The file stays pinned until the reloaded content has been applied, so that it cannot be evicted in between.
+        const unpin = this.#pinFile(file);
+        try {
+            await this.#loadFiles([file]);
+
+            const
+                loaded    = {dataset: await this.#parseFile(file)},
+                fileGraph = this.#graphOf(file.id);
+
+            if (this.#closed) return;
+            loaded.dataset = await this.#stabilizeBlankNodes(file, loaded.dataset);
+            if (this.#conflictMode && (this.#updateTimesMS.has(file.id) || this.#journalSizes.get(file.id))) {
+                // The check before the next write detects the edit and handles the conflict.
+                if (!this.#updateTimesMS.has(file.id)) this.#scheduleFileUpdate(file.id);
+                return;
+            }
+            if (this.#updateTimesMS.has(file.id) || this.#journalSizes.get(file.id)) {
+                // The next write would overwrite the external edit, so the listeners have to decide what to do with it.
+                // A journal does not belong to the edited file anymore, so the next write has to be a complete one.
+                if (this.#journalSizes.get(file.id)) {
+                    this.#compactions.add(file.id);
+                    if (!this.#updateTimesMS.has(file.id)) this.#scheduleFileUpdate(file.id);
+                }
+                this.emit('conflict', fileGraph, loaded.dataset);
+                return;
+            }
+
+            for (let fileQuad of Array.from(file.dataset)) {
+                if (!loaded.dataset.has(fileQuad)) {
+                    file.dataset.delete(fileQuad);
+                    this.emit('deleted', this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+                }
+            }
+            for (let fileQuad of loaded.dataset) {
+                if (!file.dataset.has(fileQuad)) {
+                    file.dataset.add(fileQuad);
+                    this.emit('added', this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+                }
+            }
+            if (this.#conflictMode) this.#rememberVersion(file, await fileVersionOf(file.identifier, fileContent),
+                await this.#decodeContent(file, fileContent));
+            this.#loadTimes.set(file.id, Date.now());
+            this.emit('reloaded', fileGraph);
+        } finally {
+            unpin();
+        }
+    } // FilesystemStore##reloadFile
+
+    /**
+     * Brings the updateTime of a file forward to now and waits for its updater,
+     * which is started again, if the file has pending changes from a previously failed write.
+     * @param {FileDescription} file
+     * @returns {Promise<Error | null>}
+     */
+    async #flushFile(file) {
+        // The keyProvider can switch to a new key while the store is running, which makes the files rotatable as well.
+        if (file.encryption?.keyProvider && !file.readOnly && this.#keyIds.has(file.id)
+            && this.#keyIds.get(file.id) !== keyIdOf(await this.#encryptionKey(file, null, file.identifier))) this.#rotations.add(file.id);
+        // A file, that is not encrypted with the current key, is written on the next flush even without changes.
+        if (this.#rotations.has(file.id) && !this.#updateTimesMS.has(file.id)) this.#updateTimesMS.set(file.id, Date.now());
+        if (this.#updateTimesMS.has(file.id)) {
+            this.#updateTimesMS.set(file.id, Date.now());
+            if (this.#updateWakers.has(file.id)) this.#updateWakers.get(file.id)();
+            else if (!this.#updaters.has(file.id)) this.#startFileUpdater(file);
+        }
+        return await this.#updaters.get(file.id) || null;
+    } // FilesystemStore##flushFile
 
-    async match(subject, predicate, object, graph) {
+    /**
+     * Writes all pending changes of the graph, or of every graph if none is given, to their files.
+     * @param {fua.module.persistence.Term} [graph]
+     * @returns {Promise<void>}
+     */
+    async flush(graph) {
         this.#ready || await this.#readyPromise;
-        const dataset = await super.match(subject, predicate, object, graph);
+        assert(!this.#closed, 'FilesystemStore#flush : expected store not to be closed');
         let fileIterable;
 
         if (graph) {
             if (this.factory.isDefaultGraph(graph)) {
                 fileIterable = [this.#files.get(this.#defaultFile)];
             } else {
-                assert(this.factory.isNamedNode(graph), 'FilesystemStore#match : expected graph to be a NamedNode');
+                assert(this.factory.isNamedNode(graph), 'FilesystemStore#flush : expected graph to be a NamedNode');
+                assert(this.#files.has(graph.value), 'FilesystemStore#flush : expected graph to be known');
                 fileIterable = [this.#files.get(graph.value)];
             }
         } else {
             fileIterable = this.#files.values();
         }
 
-        for (let file of fileIterable) {
-            const fileGraph = (file.id === this.#defaultFile)
-                ? this.factory.defaultGraph()
-                : this.factory.namedNode(file.id);
-            for (let fileQuad of file.dataset.match(subject, predicate, object)) {
-                const quad = this.factory.quad(
-                    fileQuad.subject,
-                    fileQuad.predicate,
-                    fileQuad.object,
-                    fileGraph
-                );
-                dataset.add(quad);
+        const failures = await Promise.all(Array.from(fileIterable, file => this.#flushFile(file)));
+        const failure  = failures.find(err => err);
+        if (failure) throw failure;
+    } // FilesystemStore#flush
+
+    /**
+     * Writes all pending changes and rejects every further operation on the store.
+     * If a write fails, close rejects with its error and can be called again to retry the pending writes.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.#ready || await this.#readyPromise;
+        if (!this.#closed) {
+            this.#closed = true;
+
+            for (let watcher of this.#watchers.values()) {
+                watcher.close();
+            }
+            this.#watchers.clear();
+            for (let reloadTimer of this.#reloadTimers.values()) {
+                clearTimeout(reloadTimer);
+            }
+            this.#reloadTimers.clear();
+            for (let retryTimer of this.#retryTimers.values()) {
+                clearTimeout(retryTimer);
+            }
+            this.#retryTimers.clear();
+            this.#retryTimesMS.clear();
+        }
+
+        // The store only finishes closing once every pending change has been written. After a failed write,
+        // the locks are kept and the next call of close tries the pending writes again.
+        if (!this.#closing) {
+            this.#closing = (async () => {
+                // Transactions, that are being written, are finished first.
+                await Promise.all(this.#writeQueues.values());
+                const failures = await Promise.all(Array.from(this.#files.values(), file => this.#flushFile(file)));
+                const failure  = failures.find(err => err);
+                if (failure) throw failure;
+                await this.#unlockFiles();
+                this.emit('closed');
+            })();
+            this.#closing.catch(() => this.#closing = null);
+        }
+        await this.#closing;
+    } // FilesystemStore#close
+
+    /**
+     * Reports the state of every graph and the counters of the store, without loading any graph file.
+     * @returns {Promise<{graphs: Array<GraphStats>, counters: StoreCounters}>}
+     */
+    async stats() {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#stats : expected store not to be closed');
+        const graphArr = [];
+        for (let file of Array.from(this.#files.values())) {
+            const
+                fileStats  = await fs.stat(file.identifier).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err)),
+                updateTime = this.#updateTimesMS.get(file.id);
+            graphArr.push({
+                graph:         this.#graphOf(file.id),
+                quads:         file.dataset ? file.dataset.size : this.#quadCounts.get(file.id) ?? null,
+                path:          file.identifier,
+                format:        file.format,
+                fileSize:      fileStats ? fileStats.size : null,
+                lastLoaded:    this.#loadTimes.get(file.id) ?? null,
+                lastPersisted: this.#persistTimes.get(file.id) ?? null,
+                dirty:         this.#updateTimesMS.has(file.id),
+                writeDeadline: (updateTime !== undefined && updateTime !== Infinity) ? updateTime : null,
+                writeError:    this.#writeErrors.get(file.id) ?? null
+            });
+        }
+        return {graphs: graphArr, counters: {...this.#counters}};
+    } // FilesystemStore#stats
+
+    /**
+     * Reports the graphs, whose last write has failed, and since when their writes fail.
+     * @returns {Promise<{status: 'ok' | 'degraded', graphs: Array<GraphHealth>}>}
+     */
+    async health() {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#health : expected store not to be closed');
+        const
+            rejectAfter = this.#retryPolicy ? this.#retryPolicy.rejectAfter : 0,
+            graphArr    = [];
+        for (let [fileId, failingSince] of this.#failingSince) {
+            graphArr.push({
+                graph:        this.#graphOf(fileId),
+                failingSince: failingSince,
+                failedWrites: this.#failedWrites.get(fileId),
+                writeError:   this.#writeErrors.get(fileId),
+                nextRetry:    this.#retryTimesMS.get(fileId) ?? null,
+                rejecting:    rejectAfter > 0 && Date.now() - failingSince >= rejectAfter
+            });
+        }
+        return {status: graphArr.length > 0 ? 'degraded' : 'ok', graphs: graphArr};
+    } // FilesystemStore#health
+
+    /**
+     * @returns {Promise<Array<fua.module.persistence.DefaultGraph | fua.module.persistence.NamedNode>>} Every graph of the store.
+     */
+    async listGraphs() {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#listGraphs : expected store not to be closed');
+        const graphArr = [this.factory.defaultGraph()];
+        for (let fileId of this.#files.keys()) {
+            if (fileId !== this.#defaultFile) graphArr.push(this.factory.namedNode(fileId));
+        }
+        return graphArr;
+    } // FilesystemStore#listGraphs
+
+    /**
+     * Creates the file for a new named graph in the graph directory.
+     * @param {fua.module.persistence.NamedNode} graph
+     * @returns {Promise<boolean>} False, if the graph already exists.
+     */
+    async createGraph(graph) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#createGraph : expected store not to be closed');
+        assert(this.factory.isNamedNode(graph), 'FilesystemStore#createGraph : expected graph to be a NamedNode');
+        assert(this.#graphDir, 'FilesystemStore#createGraph : expected a graphDirectory to be configured');
+        assert(!this.#readOnly, 'FilesystemStore#createGraph : expected store not to be read-only');
+        if (this.#files.has(graph.value)) return false;
+        const file    = await this.#createGraphFile(graph.value);
+        const failure = await this.#flushFile(file);
+        if (failure) throw failure;
+        return true;
+    } // FilesystemStore#createGraph
+
+    /**
+     * Removes a named graph from the store and deletes its file. Pending changes of the graph are discarded.
+     * @param {fua.module.persistence.NamedNode} graph
+     * @returns {Promise<boolean>} False, if the graph does not exist.
+     */
+    async dropGraph(graph) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#dropGraph : expected store not to be closed');
+        assert(this.factory.isNamedNode(graph), 'FilesystemStore#dropGraph : expected graph to be a NamedNode');
+        assert(graph.value !== this.#defaultFile, 'FilesystemStore#dropGraph : expected graph not to be the default');
+        const file = this.#files.get(graph.value);
+        if (!file) return false;
+        this.#assertWritable(file, 'dropGraph');
+
+        // The file is unregistered first, so that no operation can schedule another update for it.
+        // A running updater stops as soon as the updateTime is gone, but a started write has to finish before the removal.
+        this.#files.delete(file.id);
+        this.#updateTimesMS.delete(file.id);
+        this.#dirtyTimesMS.delete(file.id);
+        this.#revisions.delete(file.id);
+        this.#contentHashes.delete(file.id);
+        this.#journalBuffer.delete(file.id);
+        this.#journalSizes.delete(file.id);
+        this.#compactions.delete(file.id);
+        this.#rotations.delete(file.id);
+        this.#keyIds.delete(file.id);
+        this.#quadCounts.delete(file.id);
+        this.#accessTimes.delete(file.id);
+        this.#fileVersions.delete(file.id);
+        this.#baseContents.delete(file.id);
+        this.#conflicts.delete(file.id);
+        clearTimeout(this.#reloadTimers.get(file.id));
+        this.#reloadTimers.delete(file.id);
+        if (this.#updateWakers.has(file.id)) this.#updateWakers.get(file.id)();
+        await this.#updaters.get(file.id);
+        await this.#writeQueues.get(file.id);
+        this.#loadTimes.delete(file.id);
+        this.#persistTimes.delete(file.id);
+        this.#clearFailure(file);
+        await fs.rm(file.identifier, {force: true});
+        await fs.rm(journalPathOf(file.identifier), {force: true});
+        await fs.rm(labelMapPathOf(file.identifier), {force: true});
+        await this.#unlockFile(file.identifier);
+
+        const fileName = path.basename(file.identifier);
+        if (this.#manifest && path.dirname(file.identifier) === path.dirname(this.#manifestPath) && fileName in this.#manifest) {
+            delete this.#manifest[fileName];
+            await this.#writeManifest();
+        }
+
+        this.emit('dropped', graph);
+        return true;
+    } // FilesystemStore#dropGraph
+
+    /**
+     * Gives a named graph a new IRI. A file in the graph directory is moved to the file name of the new IRI.
+     * @param {fua.module.persistence.NamedNode} graph
+     * @param {fua.module.persistence.NamedNode} newGraph
+     * @returns {Promise<void>}
+     */
+    async renameGraph(graph, newGraph) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#renameGraph : expected store not to be closed');
+        assert(this.factory.isNamedNode(graph), 'FilesystemStore#renameGraph : expected graph to be a NamedNode');
+        assert(this.factory.isNamedNode(newGraph), 'FilesystemStore#renameGraph : expected newGraph to be a NamedNode');
+        assert(graph.value !== this.#defaultFile && newGraph.value !== this.#defaultFile, 'FilesystemStore#renameGraph : expected graphs not to be the default');
+        assert(this.#files.has(graph.value), 'FilesystemStore#renameGraph : expected graph to be known');
+        assert(!this.#files.has(newGraph.value) && !this.#graphCreators.has(newGraph.value), 'FilesystemStore#renameGraph : expected newGraph to be unknown');
+
+        this.#assertWritable(this.#files.get(graph.value), 'renameGraph');
+        const
+            file          = this.#files.get(graph.value),
+            oldIdentifier = file.identifier,
+            fileDir       = path.dirname(oldIdentifier),
+            moveFile      = !!this.#graphDir && fileDir === this.#graphDir,
+            newIdentifier = moveFile
+                ? path.join(this.#graphDir, this.#graphFileName(newGraph.value) + fileExtensionOf(oldIdentifier))
+                : oldIdentifier;
+
+        // The new file is written from the dataset, while the old file is still kept up to date by its updater.
+        let newContent = null, newDiskContent = null, newVersion = null;
+        if (newIdentifier !== oldIdentifier) {
+            assert(!await fileExists(newIdentifier), 'FilesystemStore#renameGraph : expected the file of newGraph not to exist');
+            await this.#lockFile(newIdentifier);
+            await this.#loadFiles([file]);
+            const {dataset, labelMap} = this.#persistableDataset(file);
+            newContent                = await this.#serializeFile(file, dataset);
+            newDiskContent            = await this.#encodeContent(file, newContent);
+            await writeFileAtomic(newIdentifier, newDiskContent);
+            await this.#writeLabelMap(newIdentifier, labelMap);
+            if (this.#conflictMode) newVersion = await fileVersionOf(newIdentifier, newDiskContent);
+        }
+
+        // After the last pending changes are written to the old file, the file is switched over without any await
+        // in between. Changes that happened in the meantime have to be written to the new file as well.
+        let changed = false;
+        while (this.#updateTimesMS.has(file.id) || this.#updaters.has(file.id) || this.#writeQueues.has(file.id)) {
+            await this.#writeQueues.get(file.id);
+            changed       = true;
+            const failure = await this.#flushFile(file);
+            if (failure) throw failure;
+        }
+        assert(!this.#files.has(newGraph.value), 'FilesystemStore#renameGraph : expected newGraph to be unknown');
+        const oldSnapshotPrefix = this.#snapshotPrefix(file);
+        this.#files.delete(file.id);
+        clearTimeout(this.#reloadTimers.get(file.id));
+        this.#reloadTimers.delete(file.id);
+        this.#moveFileState(file.id, newGraph.value);
+        file.id         = newGraph.value;
+        file.identifier = newIdentifier;
+        this.#files.set(file.id, file);
+
+        if (newIdentifier !== oldIdentifier) {
+            // The new file contains the journal of the old file already.
+            if (this.#watchEnabled || this.#journalLimit) this.#contentHashes.set(file.id, hashContent(newDiskContent));
+            this.#journalSizes.delete(file.id);
+            if (newVersion) this.#rememberVersion(file, newVersion, newContent);
+            if (changed) this.#scheduleFileUpdate(file.id);
+            await fs.rm(oldIdentifier, {force: true});
+            await fs.rm(journalPathOf(oldIdentifier), {force: true});
+            await fs.rm(labelMapPathOf(oldIdentifier), {force: true});
+            await this.#unlockFile(oldIdentifier);
+            // The snapshots are found by the path of the file, so they are moved along to keep the history of the graph.
+            const newSnapshotPrefix = this.#snapshotPrefix(file);
+            for (let snapshot of await this.#findSnapshots(file, oldSnapshotPrefix)) {
+                await fs.rename(snapshot.path, newSnapshotPrefix + '.' + snapshot.timestamp + '.snapshot');
+            }
+        }
+
+        if (this.#manifest && fileDir === path.dirname(this.#manifestPath)) {
+            delete this.#manifest[path.basename(oldIdentifier)];
+            this.#manifest[path.basename(newIdentifier)] = newGraph.value;
+            await this.#writeManifest();
+        }
+
+        this.emit('renamed', graph, newGraph);
+    } // FilesystemStore#renameGraph
+
+    /**
+     * @param {fua.module.persistence.Term} graph
+     * @returns {Promise<Array<{timestamp: number, date: Date}>>} The snapshots of the graph, the oldest first.
+     */
+    async listSnapshots(graph) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#listSnapshots : expected store not to be closed');
+        assert(this.#historyLimit, 'FilesystemStore#listSnapshots : expected history to be enabled');
+        const file = this.#getFile(graph, 'listSnapshots');
+        return (await this.#findSnapshots(file)).map(({timestamp}) => ({timestamp, date: new Date(timestamp)}));
+    } // FilesystemStore#listSnapshots
+
+    /**
+     * @param {fua.module.persistence.Term} graph
+     * @param {number} timestamp The timestamp of a snapshot from listSnapshots.
+     * @param {fua.module.persistence.Term} [subject]
+     * @param {fua.module.persistence.Term} [predicate]
+     * @param {fua.module.persistence.Term} [object]
+     * @returns {Promise<fua.module.persistence.Dataset>} The quads of the graph in the snapshot, that match the pattern.
+     */
+    async matchSnapshot(graph, timestamp, subject, predicate, object) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#matchSnapshot : expected store not to be closed');
+        assert(this.#historyLimit, 'FilesystemStore#matchSnapshot : expected history to be enabled');
+        const
+            dataset         = await super.match(subject, predicate, object, graph),
+            file            = this.#getFile(graph, 'matchSnapshot'),
+            snapshotDataset = await this.#loadSnapshot(file, timestamp, 'matchSnapshot'),
+            fileGraph       = this.#graphOf(file.id);
+
+        for (let fileQuad of snapshotDataset.match(subject, predicate, object)) {
+            dataset.add(this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+        }
+
+        return dataset;
+    } // FilesystemStore#matchSnapshot
+
+    /**
+     * Changes the graph back to the content of a snapshot and emits the added and deleted quads.
+     * @param {fua.module.persistence.Term} graph
+     * @param {number} timestamp The timestamp of a snapshot from listSnapshots.
+     * @returns {Promise<void>}
+     */
+    async restoreSnapshot(graph, timestamp) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#restoreSnapshot : expected store not to be closed');
+        assert(!this.#readOnly, 'FilesystemStore#restoreSnapshot : expected store not to be read-only');
+        assert(this.#historyLimit, 'FilesystemStore#restoreSnapshot : expected history to be enabled');
+        this.#assertWritable(this.#getFile(graph, 'restoreSnapshot'), 'restoreSnapshot');
+        const
+            file            = this.#getFile(graph, 'restoreSnapshot'),
+            snapshotDataset = await this.#loadSnapshot(file, timestamp, 'restoreSnapshot'),
+            fileGraph       = this.#graphOf(file.id);
+
+        await this.#loadFiles([file]);
+        let fileEdited = false;
+        for (let fileQuad of Array.from(file.dataset)) {
+            if (!snapshotDataset.has(fileQuad)) {
+                file.dataset.delete(fileQuad);
+                this.#recordChange(file, '-', fileQuad);
+                this.emit('deleted', this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+                fileEdited = true;
+            }
+        }
+        for (let fileQuad of snapshotDataset) {
+            if (!file.dataset.has(fileQuad)) {
+                file.dataset.add(fileQuad);
+                this.#recordChange(file, '+', fileQuad);
+                this.emit('added', this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+                fileEdited = true;
+            }
+        }
+        if (fileEdited) this.#scheduleFileUpdate(file.id);
+    } // FilesystemStore#restoreSnapshot
+
+    /**
+     * Resolves the conflict of a graph, whose file has been modified by another program, and writes the result.
+     * @param {fua.module.persistence.Term} graph
+     * @param {string} strategy Either ours to keep the store content, theirs to take the file content,
+     * or merge to apply the changes of the store since the last load or write to the file content.
+     * @returns {Promise<void>}
+     */
+    async resolveConflict(graph, strategy) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#resolveConflict : expected store not to be closed');
+        assert(conflictStrategies.includes(strategy), 'FilesystemStore#resolveConflict : expected strategy to be one of ' + conflictStrategies.join(', '));
+        const file = this.#getFile(graph, 'resolveConflict');
+        assert(this.#conflicts.has(file.id), 'FilesystemStore#resolveConflict : expected graph to have a conflict');
+        await this.#loadFiles([file]);
+        if (await this.#resolveConflict(file, strategy)) this.#scheduleFileUpdate(file.id);
+        const failure = await this.#flushFile(file);
+        if (failure) throw failure;
+    } // FilesystemStore#resolveConflict
+
+    /**
+     * Serializes every graph of the store into one dump. The default graph is named with the id of its file,
+     * so that the layout of the store can be reconstructed from the dump. The graphs are loaded and serialized
+     * one after the other, as the stream is read, so each graph is dumped in the state it has at that time.
+     * @param {string} [format='application/n-quads'] One of the formats that can contain named graphs.
+     * @returns {Promise<Readable>} The serialized dump as a text stream.
+     */
+    async exportDump(format = 'application/n-quads') {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#exportDump : expected store not to be closed');
+        assert(dumpFormats.includes(format), 'FilesystemStore#exportDump : expected format to be one of ' + dumpFormats.join(', '));
+        return Readable.from(this.#streamDump(Array.from(this.#files.values()), format));
+    } // FilesystemStore#exportDump
+
+    /**
+     * @param {Array<FileDescription>} fileArr
+     * @param {string} format
+     * @returns {AsyncGenerator<string>} The dump in chunks of lines or, for TriG, in one chunk per graph.
+     */
+    async* #streamDump(fileArr, format) {
+        for (let file of fileArr) {
+            assert(!this.#closed, 'FilesystemStore#exportDump : expected store not to be closed');
+            await this.#loadFiles([file]);
+            const fileGraph = this.factory.namedNode(file.id);
+            if (format === 'application/n-quads') {
+                // N-Quads are written line by line, so that only a chunk of lines is held at once.
+                const graphString = ' ' + termToString(fileGraph) + ' .\n';
+                let chunk = '', lines = 0;
+                for (let fileQuad of file.dataset) {
+                    chunk += termToString(fileQuad.subject) + ' ' + termToString(fileQuad.predicate) + ' ' + termToString(fileQuad.object) + graphString;
+                    if (++lines % dumpChunkSize === 0) {
+                        yield chunk;
+                        chunk = '';
+                    }
+                }
+                if (chunk) yield chunk;
+            } else {
+                // TriG allows the prefixes to be declared again for every graph.
+                const dataset = new Dataset(null, this.factory);
+                for (let fileQuad of file.dataset) {
+                    dataset.add(this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
+                }
+                yield await rdf.serializeDataset(dataset, format);
+            }
+        }
+    } // FilesystemStore##streamDump
+
+    /**
+     * Adds every quad of a dump to the store in batches of up to 10000 quads, each applied all-or-nothing like a
+     * transaction. Quads of the default graph in the dump are added to the default graph, named graphs are added to
+     * the file with the same id or created in the graph directory. If a batch fails, the import rejects and the
+     * previous batches stay applied. The files are written once after the import, as far as their write policy allows.
+     * @param {Readable} stream The serialized dump as a text stream.
+     * @param {string} [format='application/n-quads'] One of the formats that can contain named graphs.
+     * @returns {Promise<number>} The number of quads in the dump.
+     */
+    async importDump(stream, format = 'application/n-quads') {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#importDump : expected store not to be closed');
+        assert(!this.#readOnly, 'FilesystemStore#importDump : expected store not to be read-only');
+        assert(dumpFormats.includes(format), 'FilesystemStore#importDump : expected format to be one of ' + dumpFormats.join(', '));
+        assert(stream instanceof Readable, 'FilesystemStore#importDump : expected stream to be a Readable', TypeError);
+
+        const
+            /** @type {Set<FileDescription>} */
+            editedSet   = new Set(),
+            importBatch = async (batchArr) => {
+                // Each batch is checked and applied as a whole, but only scheduled to be written by the write policies.
+                const changeArr  = (await super.add(batchArr)).map(quad => ['+', quad]);
+                const {fileArr}  = await this.#prepareChanges(changeArr, 'importDump');
+                const appliedArr = this.#applyChanges(changeArr, fileArr);
+                const batchSet   = new Set();
+                for (let [file, sign, fileQuad] of appliedArr) {
+                    this.#recordChange(file, sign, fileQuad);
+                    batchSet.add(file);
+                }
+                for (let file of batchSet) {
+                    editedSet.add(file);
+                    this.#scheduleFileUpdate(file.id);
+                }
+                for (let [file, sign, fileQuad, quad] of appliedArr) {
+                    this.emit('added', quad);
+                }
+            };
+
+        let count = 0, batchArr = [];
+        for await (let quad of rdf.parseStream(stream, format, this.factory)) {
+            batchArr.push(quad);
+            if (batchArr.length < importBatchSize) continue;
+            const quadArr = batchArr;
+            batchArr      = [];
+            await importBatch(quadArr);
+            count += quadArr.length;
+        }
+        if (batchArr.length > 0) await importBatch(batchArr);
+
+        // The imported files are written once at the end, except for those that are only written by a flush.
+        const failures = await Promise.all(Array.from(editedSet)
+            .filter(file => file.writePolicy.mode !== 'manual')
+            .map(file => this.#flushFile(file)));
+        const failure  = failures.find(err => err);
+        if (failure) throw failure;
+        return count + batchArr.length;
+    } // FilesystemStore#importDump
+
+    async size() {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#size : expected store not to be closed');
+        let size = 0;
+        for (let file of this.#files.values()) {
+            // Evicted files are counted from the size they had on eviction, which is still valid while they are clean.
+            if (!file.dataset && this.#quadCounts.has(file.id)) {
+                size += this.#quadCounts.get(file.id);
+            } else {
+                await this.#loadFiles([file]);
+                size += file.dataset.size;
+            }
+        }
+        return size;
+    } // FilesystemStore#size
+
+    /**
+     * @param {fua.module.persistence.Term} [subject]
+     * @param {fua.module.persistence.Term} [predicate]
+     * @param {fua.module.persistence.Term} [object]
+     * @param {fua.module.persistence.Term} [graph]
+     * @param {{limit?: number, offset?: number}} [options] The page of the matches, in the order of the graphs.
+     * @returns {Promise<fua.module.persistence.Dataset>}
+     */
+    async match(subject, predicate, object, graph, options = {}) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#match : expected store not to be closed');
+        const dataset = await super.match(subject, predicate, object, graph);
+        const {limit = Infinity, offset = 0} = options;
+        assert(util.isNumber(limit) && limit >= 0, 'FilesystemStore#match : expected limit to be a non-negative number', TypeError);
+        assert(util.isNumber(offset) && offset >= 0, 'FilesystemStore#match : expected offset to be a non-negative number', TypeError);
+
+        let skipped = 0;
+        for (let file of this.#matchFiles(graph, 'match')) {
+            if (dataset.size >= limit) break;
+            await this.#loadFiles([file]);
+            const fileGraph = this.#graphOf(file.id);
+            // The matches are read one by one, so that nothing is copied before the offset or after the limit.
+            for await (let fileQuad of matchQuads(file.dataset, subject, predicate, object)) {
+                if (skipped < offset) {
+                    skipped++;
+                    continue;
+                }
+                if (dataset.size >= limit) break;
+                dataset.add(this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph));
             }
         }
 
         return dataset;
     } // FilesystemStore#match
 
+    /**
+     * Streams the matching quads graph by graph, so that a broad pattern never has to be copied into one dataset.
+     * A graph is only loaded and matched, when the consumer has read the matches of the previous graphs.
+     * @param {fua.module.persistence.Term} [subject]
+     * @param {fua.module.persistence.Term} [predicate]
+     * @param {fua.module.persistence.Term} [object]
+     * @param {fua.module.persistence.Term} [graph]
+     * @returns {Promise<Readable>} A readable stream of quads.
+     */
+    async matchStream(subject, predicate, object, graph) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#matchStream : expected store not to be closed');
+        await super.match(subject, predicate, object, graph);
+        return Readable.from(this.#streamMatches(this.#matchFiles(graph, 'matchStream'), subject, predicate, object));
+    } // FilesystemStore#matchStream
+
+    /**
+     * @param {fua.module.persistence.Term} [graph]
+     * @param {string} method The public method for the error message.
+     * @returns {Array<FileDescription>} The files to match in, which are all files without a graph and none for an unknown graph.
+     */
+    #matchFiles(graph, method) {
+        if (!graph) return Array.from(this.#files.values());
+        if (this.factory.isDefaultGraph(graph)) return [this.#files.get(this.#defaultFile)];
+        assert(this.factory.isNamedNode(graph), 'FilesystemStore#' + method + ' : expected graph to be a NamedNode');
+        return this.#files.has(graph.value) ? [this.#files.get(graph.value)] : [];
+    } // FilesystemStore##matchFiles
+
+    /**
+     * @param {Array<FileDescription>} fileArr
+     * @param {fua.module.persistence.Term} [subject]
+     * @param {fua.module.persistence.Term} [predicate]
+     * @param {fua.module.persistence.Term} [object]
+     * @returns {AsyncGenerator<fua.module.persistence.Quad>}
+     */
+    async* #streamMatches(fileArr, subject, predicate, object) {
+        for (let file of fileArr) {
+            assert(!this.#closed, 'FilesystemStore#matchStream : expected store not to be closed');
+            await this.#loadFiles([file]);
+            const fileGraph = this.#graphOf(file.id);
+            // The dataset is read while the consumer reads the stream, so changes in the meantime may be included.
+            for await (let fileQuad of matchQuads(file.dataset, subject, predicate, object)) {
+                yield this.factory.quad(fileQuad.subject, fileQuad.predicate, fileQuad.object, fileGraph);
+            }
+        }
+    } // FilesystemStore##streamMatches
+
     async add(quads) {
         this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#add : expected store not to be closed');
+        assert(!this.#readOnly, 'FilesystemStore#add : expected store not to be read-only');
         const
-            quadArr    = await super.add(quads),
-            quadArrMap = new Map();
+            quadArr     = await super.add(quads),
+            graphArrMap = new Map(),
+            newGraphIds = new Set();
 
         for (let quad of quadArr) {
-            let file;
+            let graphId;
             if (this.factory.isDefaultGraph(quad.graph)) {
-                file = this.#files.get(this.#defaultFile);
+                graphId = this.#defaultFile;
             } else {
                 assert(this.factory.isNamedNode(quad.graph), 'FilesystemStore#add : expected quad.graph to be a NamedNode');
-                file = this.#files.get(quad.graph.value);
+                graphId = quad.graph.value;
+                if (!this.#files.has(graphId) && this.#graphDir) newGraphIds.add(graphId);
             }
-            assert(file, 'FilesystemStore#add : expected quad to contain a known graph');
-            if (quadArrMap.has(file)) {
-                quadArrMap.get(file).push(quad);
+            assert(this.#files.has(graphId) || newGraphIds.has(graphId), 'FilesystemStore#add : expected quad to contain a known graph');
+            if (graphArrMap.has(graphId)) {
+                graphArrMap.get(graphId).push(quad);
             } else {
-                quadArrMap.set(file, [quad]);
+                graphArrMap.set(graphId, [quad]);
             }
         }
 
+        // Files for new graphs are only created after every quad has been checked, so that a rejected add leaves no graph behind.
+        for (let graphId of graphArrMap.keys()) {
+            if (this.#files.has(graphId)) this.#assertWritable(this.#files.get(graphId), 'add');
+        }
+        for (let graphId of newGraphIds) {
+            if (!this.#files.has(graphId)) await this.#createGraphFile(graphId);
+        }
+        const quadArrMap = new Map(Array.from(graphArrMap, ([graphId, graphQuadArr]) => [this.#files.get(graphId), graphQuadArr]));
+        await this.#loadFiles(quadArrMap.keys());
         let added = 0;
         for (let [file, fileQuadArr] of quadArrMap.entries()) {
             let fileEdited = false;
@@ -172,6 +3097,7 @@ class FilesystemStore extends DataStore {
                 const fileQuad = this.factory.quad(quad.subject, quad.predicate, quad.object);
                 if (!file.dataset.has(fileQuad)) {
                     file.dataset.add(fileQuad);
+                    this.#recordChange(file, '+', fileQuad);
                     this.emit('added', quad);
                     added++;
                     fileEdited = true;
@@ -183,33 +3109,35 @@ class FilesystemStore extends DataStore {
         return added;
     } // FilesystemStore#add
 
+    /**
+     * Adds the quads of a stream, one after the other as they are read. Quads that cannot be added, because their
+     * graph is unknown or read-only, are emitted as rejected. The files are updated once, after the stream has ended.
+     * @param {Readable} stream
+     * @returns {Promise<number>} The number of added quads.
+     */
     async addStream(stream) {
         this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#addStream : expected store not to be closed');
+        assert(!this.#readOnly, 'FilesystemStore#addStream : expected store not to be read-only');
         const quadStream = await super.addStream(stream);
         let added        = 0;
-        quadStream.on('data', (quad) => {
-            let file;
-            if (this.factory.isDefaultGraph(quad.graph)) {
-                file = this.#files.get(this.#defaultFile);
-            } else if (this.factory.isNamedNode(quad.graph)) {
-                file = this.#files.get(quad.graph.value);
-            } else {
-                return;
-            }
-            const fileQuad = this.factory.quad(quad.subject, quad.predicate, quad.object);
-            if (!file.dataset.has(fileQuad)) {
-                file.dataset.add(fileQuad);
-                this.emit('added', quad);
-                added++;
-                this.#scheduleFileUpdate(file.id);
-            }
-        });
-        await new Promise(resolve => quadStream.on('end', resolve));
-        return added;
+        return await this.#editStream(quadStream, 'addStream', async (quad) => {
+            if (this.factory.isNamedNode(quad.graph) && !this.#files.has(quad.graph.value) && this.#graphDir)
+                await this.#createGraphFile(quad.graph.value);
+        }, (file, fileQuad, quad) => {
+            if (file.dataset.has(fileQuad)) return;
+            file.dataset.add(fileQuad);
+            this.#recordChange(file, '+', fileQuad);
+            this.emit('added', quad);
+            added++;
+            return true;
+        }).then(() => added);
     } // FilesystemStore#addStream
 
     async delete(quads) {
         this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#delete : expected store not to be closed');
+        assert(!this.#readOnly, 'FilesystemStore#delete : expected store not to be read-only');
         const
             quadArr    = await super.add(quads),
             quadArrMap = new Map();
@@ -230,6 +3158,10 @@ class FilesystemStore extends DataStore {
             }
         }
 
+        for (let file of quadArrMap.keys()) {
+            this.#assertWritable(file, 'delete');
+        }
+        await this.#loadFiles(quadArrMap.keys());
         let deleted = 0;
         for (let [file, fileQuadArr] of quadArrMap.entries()) {
             let fileEdited = false;
@@ -237,6 +3169,7 @@ class FilesystemStore extends DataStore {
                 const fileQuad = this.factory.quad(quad.subject, quad.predicate, quad.object);
                 if (file.dataset.has(fileQuad)) {
                     file.dataset.delete(fileQuad);
+                    this.#recordChange(file, '-', fileQuad);
                     this.emit('deleted', quad);
                     deleted++;
                     fileEdited = true;
@@ -248,52 +3181,93 @@ class FilesystemStore extends DataStore {
         return deleted;
     } // FilesystemStore#delete
 
+    /**
+     * Deletes the quads of a stream, one after the other as they are read. Quads of unknown or read-only graphs
+     * are emitted as rejected. The files are updated once, after the stream has ended.
+     * @param {Readable} stream
+     * @returns {Promise<number>} The number of deleted quads.
+     */
     async deleteStream(stream) {
         this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#deleteStream : expected store not to be closed');
+        assert(!this.#readOnly, 'FilesystemStore#deleteStream : expected store not to be read-only');
         const quadStream = await super.addStream(stream);
         let deleted      = 0;
-        quadStream.on('data', (quad) => {
-            let file;
-            if (this.factory.isDefaultGraph(quad.graph)) {
-                file = this.#files.get(this.#defaultFile);
-            } else if (this.factory.isNamedNode(quad.graph)) {
-                file = this.#files.get(quad.graph.value);
-            } else {
-                return;
+        return await this.#editStream(quadStream, 'deleteStream', null, (file, fileQuad, quad) => {
+            if (!file.dataset.has(fileQuad)) return;
+            file.dataset.delete(fileQuad);
+            this.#recordChange(file, '-', fileQuad);
+            this.emit('deleted', quad);
+            deleted++;
+            return true;
+        }).then(() => deleted);
+    } // FilesystemStore#deleteStream
+
+    /**
+     * Reads a quad stream with backpressure and applies each quad to the dataset of its file. The edited files are
+     * pinned until the stream has ended or failed and get a single update for the whole stream afterwards.
+     * @param {Readable} quadStream
+     * @param {string} method The public method for the messages of rejected quads.
+     * @param {null | function(fua.module.persistence.Quad): Promise<void>} prepare Called before the file of a quad is looked up.
+     * @param {function(FileDescription, fua.module.persistence.Quad, fua.module.persistence.Quad): boolean | undefined} apply
+     * Applies the file quad to the file and returns true, if the file has been edited.
+     * @returns {Promise<void>}
+     */
+    async #editStream(quadStream, method, prepare, apply) {
+        /** @type {Map<FileDescription, function(): void>} */
+        const editedFiles = new Map();
+        try {
+            for await (let quad of quadStream) {
+                if (prepare) await prepare(quad);
+                let file = null;
+                if (this.factory.isDefaultGraph(quad.graph)) {
+                    file = this.#files.get(this.#defaultFile);
+                } else if (this.factory.isNamedNode(quad.graph)) {
+                    file = this.#files.get(quad.graph.value);
+                }
+                if (!file) {
+                    this.emit('rejected', quad, new Error('FilesystemStore#' + method + ' : expected quad to contain a known graph'));
+                    continue;
+                }
+                try {
+                    this.#assertWritable(file, method);
+                } catch (err) {
+                    this.emit('rejected', quad, err);
+                    continue;
+                }
+                if (!file.dataset) await this.#loadFiles([file]);
+                const fileQuad = this.factory.quad(quad.subject, quad.predicate, quad.object);
+                if (apply(file, fileQuad, quad) && !editedFiles.has(file)) editedFiles.set(file, this.#pinFile(file));
             }
-            const fileQuad = this.factory.quad(quad.subject, quad.predicate, quad.object);
-            if (file.dataset.has(fileQuad)) {
-                file.dataset.delete(fileQuad);
-                this.emit('deleted', quad);
-                deleted++;
-                this.#scheduleFileUpdate(file.id);
+        } finally {
+            for (let [file, unpin] of editedFiles) {
+                // A graph that has been dropped in the meantime has nothing to update anymore.
+                if (this.#files.get(file.id) === file) this.#scheduleFileUpdate(file.id);
+                unpin();
             }
-        });
-        await new Promise(resolve => quadStream.on('end', resolve));
-        return deleted;
-    } // FilesystemStore#deleteStream
+        }
+    } // FilesystemStore##editStream
 
     async deleteMatches(subject, predicate, object, graph) {
         this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#deleteMatches : expected store not to be closed');
         await super.deleteMatches(subject, predicate, object, graph);
         let fileIterable;
 
         if (graph) {
-            if (this.factory.isDefaultGraph(graph)) {
-                fileIterable = [this.#files.get(this.#defaultFile)];
-            } else {
-                assert(this.factory.isNamedNode(graph), 'FilesystemStore#deleteMatches : expected graph to be a NamedNode');
-                fileIterable = [this.#files.get(graph.value)];
+            // An unknown graph has no file and nothing to delete.
+            fileIterable = this.#matchFiles(graph, 'deleteMatches');
+            for (let file of fileIterable) {
+                this.#assertWritable(file, 'deleteMatches');
             }
         } else {
-            fileIterable = this.#files.values();
+            fileIterable = this.#unscopedFiles('deleteMatches');
         }
 
         let deleted = 0;
-        for (let file of fileIterable) {
-            const fileGraph = (file.id === this.#defaultFile)
-                ? this.factory.defaultGraph()
-                : this.factory.namedNode(file.id);
+        for (let file of Array.from(fileIterable)) {
+            await this.#loadFiles([file]);
+            const fileGraph = this.#graphOf(file.id);
 
             let fileEdited = false;
             for (let fileQuad of file.dataset.match(subject, predicate, object)) {
@@ -304,6 +3278,7 @@ class FilesystemStore extends DataStore {
                     fileGraph
                 );
                 file.dataset.delete(fileQuad);
+                this.#recordChange(file, '-', fileQuad);
                 this.emit('deleted', quad);
                 deleted++;
                 fileEdited = true;
@@ -316,6 +3291,7 @@ class FilesystemStore extends DataStore {
 
     async has(quads) {
         this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#has : expected store not to be closed');
         const
             quadArr    = await super.add(quads),
             quadArrMap = new Map();
@@ -335,6 +3311,7 @@ class FilesystemStore extends DataStore {
             }
         }
 
+        await this.#loadFiles(quadArrMap.keys());
         for (let [file, fileQuadArr] of quadArrMap.entries()) {
             for (let quad of fileQuadArr) {
                 const fileQuad = this.factory.quad(quad.subject, quad.predicate, quad.object);
@@ -345,6 +3322,112 @@ class FilesystemStore extends DataStore {
         return true;
     } // FilesystemStore#has
 
+    /**
+     * Stages the changes of the callback and applies them all at once after the callback has finished. If the callback
+     * throws, a change cannot be applied or the files cannot be written, nothing is applied at all. The affected files
+     * are written as one unit, which a crash cannot leave half written, and the events are emitted afterwards.
+     * @template T
+     * @param {function(FilesystemTransaction): Promise<T>} callback
+     * @returns {Promise<T>} The result of the callback.
+     */
+    async transaction(callback) {
+        this.#ready || await this.#readyPromise;
+        assert(!this.#closed, 'FilesystemStore#transaction : expected store not to be closed');
+        assert(!this.#readOnly, 'FilesystemStore#transaction : expected store not to be read-only');
+        assert(util.isFunction(callback), 'FilesystemStore#transaction : expected callback to be a function', TypeError);
+
+        /** @type {Array<[string, Array]>} */
+        const changeArr = [];
+        let staging     = true;
+        const tx        = Object.freeze({
+            add:           async (quads) => {
+                assert(staging, 'FilesystemTransaction#add : expected transaction to be open');
+                for (let quad of await super.add(quads)) {
+                    changeArr.push(['+', quad]);
+                }
+            },
+            delete:        async (quads) => {
+                assert(staging, 'FilesystemTransaction#delete : expected transaction to be open');
+                for (let quad of await super.add(quads)) {
+                    changeArr.push(['-', quad]);
+                }
+            },
+            deleteMatches: async (subject, predicate, object, graph) => {
+                assert(staging, 'FilesystemTransaction#deleteMatches : expected transaction to be open');
+                await super.deleteMatches(subject, predicate, object, graph);
+                assert(!graph || this.factory.isDefaultGraph(graph) || this.factory.isNamedNode(graph),
+                    'FilesystemTransaction#deleteMatches : expected graph to be a NamedNode');
+                changeArr.push(['*', [subject, predicate, object, graph]]);
+            }
+        });
+
+        let result;
+        try {
+            result = await callback(tx);
+        } finally {
+            staging = false;
+        }
+        assert(!this.#closed, 'FilesystemStore#transaction : expected store not to be closed');
+
+        const {fileArr, loadedArr} = await this.#prepareChanges(changeArr, 'transaction');
+        // The files stay pinned until the transaction has been written, so that none of them can be evicted in between.
+        const unpinArr = loadedArr.map(file => this.#pinFile(file));
+        let appliedArr;
+        try {
+            appliedArr = await this.#exclusiveWrite(loadedArr, async () => {
+                // A conflict is resolved before the changes are applied, so that the resolution cannot undo them.
+                if (this.#conflictMode) {
+                    for (let file of loadedArr) {
+                        await this.#verifyFile(file);
+                    }
+                }
+                const
+                    changedArr = this.#applyChanges(changeArr, fileArr),
+                    editedArr  = Array.from(new Set(changedArr.map(([file]) => file)));
+                if (editedArr.length > 0) {
+                    try {
+                        await this.#commitFiles(editedArr);
+                    } catch (err) {
+                        // Nothing of a failed transaction is kept, neither in the files nor in the datasets.
+                        for (let [file, sign, fileQuad] of changedArr.slice().reverse()) {
+                            if (sign === '+') file.dataset.delete(fileQuad);
+                            else file.dataset.add(fileQuad);
+                        }
+                        throw err;
+                    }
+                }
+                return changedArr;
+            });
+        } finally {
+            unpinArr.forEach(unpin => unpin());
+        }
+
+        for (let [file, sign, fileQuad, quad] of appliedArr) {
+            if (sign === '+') this.#counters.added++;
+            else this.#counters.deleted++;
+            this.emit(sign === '+' ? 'added' : 'deleted', quad);
+        }
+        return result;
+    } // FilesystemStore#transaction
+
 } // FilesystemStore
 
-module.exports = FilesystemStore;
+class FilesystemStoreFactory extends DataFactory {
+
+    /**
+     * Creates a store that loads every RDF file in the directory as a graph and creates new graph files in it.
+     * @param {fua.module.persistence.NamedNode} graph The graph that is used as the default graph of the store.
+     * @param {string} directory The directory of the graph files and their manifest.
+     * @param {object} [options] Further options for the FilesystemStore.
+     * @returns {FilesystemStore}
+     */
+    store(graph, directory, options = {}) {
+        assert(this.isNamedNode(graph), 'FilesystemStoreFactory#store : expected graph to be a NamedNode', TypeError);
+        assert(util.isString(directory), 'FilesystemStoreFactory#store : expected directory to be a string', TypeError);
+        return new FilesystemStore({...options, defaultFile: graph.value, loadDirectory: directory}, this);
+    } // FilesystemStoreFactory#store
+
+} // FilesystemStoreFactory
+
+module.exports                        = FilesystemStore;
+module.exports.FilesystemStoreFactory = FilesystemStoreFactory;
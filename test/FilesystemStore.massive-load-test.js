@@ -57,6 +57,6 @@ const
     const deleted = await store.delete(allData);
     // const deleted = await store.deleteMatches();
     console.log('deleted quads: ' + deleted);
-})().catch(err => console.error(err?.stack ?? err)).finally(() => {
-    setTimeout(process.exit, 100)
-});
+
+    await store.close();
+})().catch(err => console.error(err?.stack ?? err));
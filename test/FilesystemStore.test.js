@@ -3,9 +3,15 @@ const
     expect                          = require('expect'),
     path                            = require('path'),
     fs                              = require('fs/promises'),
+    os                              = require('os'),
+    {once}                          = require('events'),
+    zlib                            = require('zlib'),
+    crypto                          = require('crypto'),
+    {Readable}                      = require('stream'),
     context                         = require('./data/context.json'),
     {DataFactory}                   = require('@fua/module.persistence'),
     FilesystemStore                 = require('../src/module.persistence.filesystem.js'),
+    {FilesystemStoreFactory}        = FilesystemStore,
     sleep                           = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
     emptyTestFile                   = path.join(__dirname, 'data/empty.ttl'),
     options                         = {
@@ -17,17 +23,66 @@ const
         }
     };
 
+/**
+ * Creates a data factory and a temporary directory with an empty graph file, unless the file name is null.
+ * @param {string | null} [fileName='graph.ttl']
+ * @returns {Promise<{factory: DataFactory, tmpDir: string, tmpFile: string | null}>}
+ */
+async function createFixture(fileName = 'graph.ttl') {
+    const
+        factory = new DataFactory(context),
+        tmpDir  = await fs.mkdtemp(path.join(os.tmpdir(), 'fua-filesystem-')),
+        tmpFile = fileName ? path.join(tmpDir, fileName) : null;
+    if (tmpFile) {
+        await fs.mkdir(path.dirname(tmpFile), {recursive: true});
+        await fs.writeFile(tmpFile, '');
+    }
+    return {factory, tmpDir, tmpFile};
+} // createFixture
+
+/**
+ * Creates a quad with the example subject and predicate, an object that defaults to the example object
+ * and is a literal, if it is a string, and an optional graph IRI.
+ * @param {DataFactory} factory
+ * @param {Term | string | null} [object]
+ * @param {string} [graph]
+ * @returns {Quad}
+ */
+function createQuad(factory, object, graph) {
+    return factory.quad(
+        factory.namedNode('http://example.com/subject'),
+        factory.namedNode('http://example.com/predicate'),
+        (typeof object === 'string') ? factory.literal(object) : object || factory.namedNode('http://example.com/object'),
+        graph ? factory.namedNode(graph) : factory.defaultGraph()
+    );
+} // createQuad
+
+/**
+ * Creates a store with the graph file as its default graph and the additional options.
+ * @param {DataFactory} factory
+ * @param {string} filePath
+ * @param {object} [options]
+ * @returns {FilesystemStore}
+ */
+function createGraphStore(factory, filePath, options) {
+    return new FilesystemStore({
+        defaultFile: 'file://graph.ttl',
+        loadFiles:   {
+            '@id':            'file://graph.ttl',
+            'dct:identifier': filePath,
+            'dct:format':     'text/turtle'
+        },
+        ...options
+    }, factory);
+} // createGraphStore
+
 describe('module.persistence.filesystem', function () {
 
     let factory, store, quad_1, quad_2;
     before('construct a FilesystemStore and two quads', async function () {
         factory = new DataFactory(context);
         store   = new FilesystemStore(options, factory);
-        quad_1  = factory.quad(
-            factory.namedNode('http://example.com/subject'),
-            factory.namedNode('http://example.com/predicate'),
-            factory.namedNode('http://example.com/object')
-        );
+        quad_1  = createQuad(factory);
         quad_2  = factory.quad(
             quad_1.subject,
             quad_1.predicate,
@@ -87,10 +142,1509 @@ describe('module.persistence.filesystem', function () {
         expect(await store.size()).toBe(0);
     });
 
-    after('wait a sec before finishing', async function () {
-        this.timeout(3e3);
-        await sleep(2e3);
+    test('should persist pending changes on flush', async function () {
+        await store.add(quad_1);
+        await store.flush();
+        expect(await fs.readFile(emptyTestFile, 'utf-8')).toMatch('subject');
+        await store.delete(quad_1);
+        await store.flush(factory.defaultGraph());
+        expect(await fs.readFile(emptyTestFile, 'utf-8')).not.toMatch('subject');
+    });
+
+    test('should reject further operations after close', async function () {
+        await store.close();
+        await expect(store.size()).rejects.toThrow();
+        await expect(store.add(quad_1)).rejects.toThrow();
+    });
+
+    after('reset the test file', async function () {
+        await store.close();
         await fs.writeFile(emptyTestFile, '');
     });
 
 });
+
+describe('module.persistence.filesystem : atomic writes', function () {
+
+    let factory, tmpDir, tmpFile, quad_1;
+    before('create a temporary graph file and a quad', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory);
+    });
+
+    function createStore(filePath) {
+        return createGraphStore(factory, filePath, {writePolicy: 'manual'});
+    }
+
+    test('should keep the mode of the graph file', async function () {
+        await fs.chmod(tmpFile, 0o600);
+        const store = createStore(tmpFile);
+        await store.add(quad_1);
+        await store.close();
+        expect((await fs.stat(tmpFile)).mode & 0o777).toBe(0o600);
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('subject');
+    });
+
+    test('should write through a symlinked graph file', async function () {
+        const linkFile = path.join(tmpDir, 'link.ttl');
+        await fs.symlink(tmpFile, linkFile);
+        const store = createStore(linkFile);
+        await store.delete(quad_1);
+        await store.close();
+        expect((await fs.lstat(linkFile)).isSymbolicLink()).toBeTruthy();
+        expect(await fs.readFile(tmpFile, 'utf-8')).not.toMatch('subject');
+        expect((await fs.readdir(tmpDir)).sort()).toEqual(['graph.ttl', 'link.ttl']);
+    });
+
+    after('remove the temporary directory', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : write policies', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, quad_2;
+    before('create a temporary graph file and two quads', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory);
+        quad_2 = createQuad(factory, 'Hello World');
+    });
+
+    function createStore(writePolicies) {
+        return createGraphStore(factory, tmpFile, {writePolicies});
+    }
+
+    test('should reject an unknown write mode', function () {
+        expect(() => createStore({'file://graph.ttl': 'sometimes'})).toThrow();
+    });
+
+    test('should only write a manual file on flush', async function () {
+        const store     = createStore({'file://graph.ttl': 'manual'});
+        const deadlines = [];
+        store.on('persist-scheduled', (graph, {deadline}) => deadlines.push(deadline));
+        await store.add(quad_1);
+        expect(deadlines).toEqual([null]);
+        expect(await fs.readFile(tmpFile, 'utf-8')).not.toMatch('subject');
+        await store.flush();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('subject');
+        await store.delete(quad_1);
+        await store.close();
+        expect(await fs.readFile(tmpFile, 'utf-8')).not.toMatch('subject');
+    });
+
+    test('should write an immediate file without waiting for the debounce', async function () {
+        const store     = createStore({'file://graph.ttl': {mode: 'immediate'}});
+        const persisted = once(store, 'persisted');
+        await store.add(quad_1);
+        await persisted;
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('subject');
+        await store.delete(quad_1);
+        await store.close();
+    });
+
+    test('should postpone a debounced write with every change, but not beyond the maxWait', async function () {
+        const store     = createStore({'file://graph.ttl': {mode: 'debounce', delay: 10000, maxWait: 15000}});
+        const deadlines = [];
+        store.on('persist-scheduled', (graph, {deadline}) => deadlines.push(deadline));
+        const startMS = Date.now(), realNow = Date.now;
+        try {
+            Date.now = () => startMS;
+            await store.add(quad_1);
+            Date.now = () => startMS + 4000;
+            await store.add(quad_2);
+            Date.now = () => startMS + 8000;
+            await store.delete(quad_2);
+        } finally {
+            Date.now = realNow;
+        }
+        expect(deadlines).toEqual([startMS + 10000, startMS + 14000, startMS + 15000]);
+        await store.delete(quad_1);
+        await store.close();
+    });
+
+    test('should not postpone the write of an interval file', async function () {
+        const store     = createStore({'file://graph.ttl': {mode: 'interval', interval: 10000}});
+        const deadlines = [];
+        store.on('persist-scheduled', (graph, {deadline}) => deadlines.push(deadline));
+        const startMS = Date.now(), realNow = Date.now;
+        try {
+            Date.now = () => startMS;
+            await store.add(quad_1);
+            Date.now = () => startMS + 4000;
+            await store.add(quad_2);
+        } finally {
+            Date.now = realNow;
+        }
+        expect(deadlines).toEqual([startMS + 10000, startMS + 10000]);
+        await store.delete(quad_1);
+        await store.delete(quad_2);
+        await store.close();
+    });
+
+    test('should write an interval file once the interval has passed', async function () {
+        const store     = createStore({'file://graph.ttl': {mode: 'interval', interval: 20}});
+        const persisted = once(store, 'persisted');
+        await store.add(quad_1);
+        await persisted;
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('subject');
+        await store.delete(quad_1);
+        await store.close();
+    });
+
+    after('remove the temporary graph file', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : watch mode', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, store;
+    before('create a watching store on a temporary graph file', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory);
+        store  = new FilesystemStore({
+            defaultFile:   'file://graph.ttl',
+            loadFiles:     {
+                '@id':            'file://graph.ttl',
+                'dct:identifier': tmpFile,
+                'dct:format':     'text/turtle'
+            },
+            writePolicies: {'file://graph.ttl': 'manual'},
+            watch:         true
+        }, factory);
+        await store.size();
+    });
+
+    test('should reload an external edit of the file', async function () {
+        const added = new Promise(resolve => store.once('added', resolve));
+        await fs.writeFile(tmpFile, '<http://example.com/subject> <http://example.com/predicate> <http://example.com/object> .\n');
+        expect((await added).equals(quad_1)).toBeTruthy();
+        expect(await store.has(quad_1)).toBeTruthy();
+    });
+
+    test('should emit a conflict for an external edit with unsaved changes', async function () {
+        await store.delete(quad_1);
+        const conflict = new Promise(resolve => store.once('conflict', (graph, dataset) => resolve(dataset)));
+        await fs.writeFile(tmpFile, '');
+        expect((await conflict).size).toBe(0);
+        expect(await store.has(quad_1)).toBeFalsy();
+    });
+
+    test('should not take its own writes for external edits', async function () {
+        const conflicts = [];
+        store.on('conflict', graph => conflicts.push(graph));
+        for (let index = 0; index < 5; index++) {
+            await store.add(createQuad(factory, 'Hello World ' + index));
+            await store.flush();
+        }
+        await sleep(300);
+        expect(conflicts).toEqual([]);
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('Hello World 4');
+    });
+
+    after('close the store and remove the temporary graph file', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : graph directory', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, store;
+    before('create a store with a temporary graph directory', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture('default.ttl'));
+        quad_1 = createQuad(factory, null, 'http://example.com/graph');
+        store  = createStore();
+    });
+
+    const createStore = () => new FilesystemStore({
+        defaultFile:    'file://default.ttl',
+        loadFiles:      {
+            '@id':            'file://default.ttl',
+            'dct:identifier': tmpFile,
+            'dct:format':     'text/turtle'
+        },
+        graphDirectory: path.join(tmpDir, 'graphs'),
+        graphFileName:  'base64'
+    }, factory);
+
+    test('should create a file for an unknown named graph', async function () {
+        expect(await store.add(quad_1)).toBeTruthy();
+        expect(await store.has(quad_1)).toBeTruthy();
+        await store.flush(quad_1.graph);
+        const graphFile = path.join(tmpDir, 'graphs', Buffer.from('http://example.com/graph').toString('base64url') + '.ttl');
+        expect(await fs.readFile(graphFile, 'utf-8')).toMatch('subject');
+    });
+
+    test('should create no file if another quad of the batch is rejected', async function () {
+        const
+            newQuad      = createQuad(factory, null, 'http://example.com/rejected'),
+            rejectedQuad = factory.quad(quad_1.subject, quad_1.predicate, quad_1.object, factory.blankNode());
+        await expect(store.add([newQuad, rejectedQuad])).rejects.toThrow('expected quad.graph to be a NamedNode');
+        expect((await store.listGraphs()).some(graph => graph.equals(newQuad.graph))).toBeFalsy();
+        const manifest = JSON.parse(await fs.readFile(path.join(tmpDir, 'graphs', 'manifest.json'), 'utf-8'));
+        expect(Object.values(manifest)).not.toContain(newQuad.graph.value);
+    });
+
+    test('should record the created graph in the manifest of the graph directory and load it again', async function () {
+        const manifest = JSON.parse(await fs.readFile(path.join(tmpDir, 'graphs', 'manifest.json'), 'utf-8'));
+        expect(Object.values(manifest)).toContain(quad_1.graph.value);
+        const reopened = createStore();
+        expect(await reopened.has(quad_1)).toBeTruthy();
+        await reopened.close();
+    });
+
+    test('should list, rename and drop the graph', async function () {
+        const
+            newGraph     = factory.namedNode('http://example.com/renamed'),
+            oldGraphFile = path.join(tmpDir, 'graphs', Buffer.from(quad_1.graph.value).toString('base64url') + '.ttl'),
+            newGraphFile = path.join(tmpDir, 'graphs', Buffer.from(newGraph.value).toString('base64url') + '.ttl');
+
+        expect((await store.listGraphs()).some(graph => graph.equals(quad_1.graph))).toBeTruthy();
+        await store.renameGraph(quad_1.graph, newGraph);
+        expect(await store.has(quad_1)).toBeFalsy();
+        expect((await store.match(null, null, null, newGraph)).size).toBe(1);
+        expect(await fs.readFile(newGraphFile, 'utf-8')).toMatch('subject');
+        await expect(fs.stat(oldGraphFile)).rejects.toThrow();
+
+        expect(await store.dropGraph(newGraph)).toBeTruthy();
+        expect(await store.dropGraph(newGraph)).toBeFalsy();
+        expect((await store.listGraphs()).length).toBe(1);
+        await expect(fs.stat(newGraphFile)).rejects.toThrow();
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : FilesystemStoreFactory', function () {
+
+    let factory, tmpDir, store;
+    before('create a directory with a mapped graph file', async function () {
+        factory = new FilesystemStoreFactory(context);
+        tmpDir  = await fs.mkdtemp(path.join(os.tmpdir(), 'fua-filesystem-'));
+        await fs.writeFile(path.join(tmpDir, 'data.ttl'), '<http://example.com/subject> <http://example.com/predicate> <http://example.com/object> .\n');
+        await fs.writeFile(path.join(tmpDir, 'manifest.json'), JSON.stringify({'data.ttl': 'http://example.com/data'}));
+        store = factory.store(factory.namedNode('http://example.com/default'), tmpDir);
+    });
+
+    test('should load the discovered file as the graph from the manifest', async function () {
+        expect(await store.has(createQuad(factory, null, 'http://example.com/data'))).toBeTruthy();
+    });
+
+    test('should create the default graph and record it in the manifest', async function () {
+        expect(await store.size()).toBe(1);
+        const manifest = JSON.parse(await fs.readFile(path.join(tmpDir, 'manifest.json'), 'utf-8'));
+        expect(Object.values(manifest)).toContain('http://example.com/default');
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : journal', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, quad_2;
+    before('create a temporary graph file and two quads', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory);
+        quad_2 = factory.quad(
+            quad_1.subject,
+            quad_1.predicate,
+            factory.literal('Hello "World"\n', 'en')
+        );
+    });
+
+    function createStore(journal) {
+        return createGraphStore(factory, tmpFile, {
+            writePolicy: 'manual',
+            journal
+        });
+    }
+
+    test('should append changes to the journal and replay it on load', async function () {
+        const store = createStore(true);
+        await store.add([quad_1, quad_2]);
+        await store.delete(quad_1);
+        await store.close();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toBe('');
+        expect(await fs.readFile(tmpFile + '.journal', 'utf-8')).toMatch('+ <http://example.com/subject>');
+
+        const reloaded = createStore(true);
+        expect(await reloaded.has(quad_1)).toBeFalsy();
+        expect(await reloaded.has(quad_2)).toBeTruthy();
+        await reloaded.close();
+    });
+
+    test('should compact the journal into the file once it is too large', async function () {
+        const store = createStore({maxSize: 10});
+        await store.add(quad_1);
+        await store.close();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('subject');
+        await expect(fs.stat(tmpFile + '.journal')).rejects.toThrow();
+    });
+
+    test('should write a change with a blank node into the file, so that a restart does not replay it', async function () {
+        await fs.writeFile(tmpFile, '<http://example.com/subject> <http://example.com/predicate> [] .\n');
+        const store       = createStore(true);
+        const [blankQuad] = await store.match(quad_1.subject, quad_1.predicate);
+        expect(blankQuad.object.termType).toBe('BlankNode');
+        await store.delete(blankQuad);
+        await store.add(quad_2);
+        await store.close();
+        await expect(fs.stat(tmpFile + '.journal')).rejects.toThrow();
+
+        const reloaded = createStore(true);
+        expect(await reloaded.size()).toBe(1);
+        expect(await reloaded.has(quad_2)).toBeTruthy();
+        await reloaded.close();
+    });
+
+    after('remove the temporary graph file', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : transactions', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, quad_2, store;
+    before('create a store on a temporary graph file and two quads', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory);
+        quad_2 = factory.quad(
+            quad_1.subject,
+            quad_1.predicate,
+            factory.literal('Hello World', 'en'),
+            factory.namedNode('http://example.com/unknown')
+        );
+        store  = createGraphStore(factory, tmpFile);
+    });
+
+    test('should apply nothing if a quad has an unknown graph', async function () {
+        await expect(store.transaction(async (tx) => {
+            await tx.add(quad_1);
+            await tx.add(quad_2);
+        })).rejects.toThrow();
+        expect(await store.size()).toBe(0);
+    });
+
+    test('should apply nothing if the callback throws', async function () {
+        await expect(store.transaction(async (tx) => {
+            await tx.add(quad_1);
+            throw new Error('rollback');
+        })).rejects.toThrow('rollback');
+        expect(await store.size()).toBe(0);
+    });
+
+    test('should apply the changes and emit events only on commit', async function () {
+        const events = [];
+        store.on('added', quad => events.push(quad));
+        await store.transaction(async (tx) => {
+            await tx.add(quad_1);
+            expect(events.length).toBe(0);
+        });
+        expect(events.length).toBe(1);
+        expect(await store.has(quad_1)).toBeTruthy();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('subject');
+        await store.transaction(tx => tx.deleteMatches(quad_1.subject));
+        expect(await store.size()).toBe(0);
+    });
+
+    test('should only create the files of new graphs in the graph directory on commit', async function () {
+        const
+            graphDir   = path.join(tmpDir, 'graphs'),
+            graphStore = createGraphStore(factory, tmpFile, {graphDirectory: graphDir}),
+            quad_3     = createQuad(factory, 'Lorem Ipsum', 'http://example.com/new');
+        await expect(graphStore.transaction(async (tx) => {
+            await tx.add(quad_3);
+            await tx.delete(quad_2);
+        })).rejects.toThrow('expected quad to contain a known graph');
+        expect((await graphStore.listGraphs()).length).toBe(1);
+        await expect(fs.readdir(graphDir)).rejects.toThrow();
+
+        await graphStore.transaction(tx => tx.add(quad_3));
+        expect((await graphStore.listGraphs()).some(graph => graph.equals(quad_3.graph))).toBeTruthy();
+        expect((await fs.readdir(graphDir)).filter(fileName => fileName.endsWith('.ttl')).length).toBe(1);
+        await graphStore.close();
+    });
+
+    test('should write nothing if one of the files cannot be written', async function () {
+        const
+            otherFile = path.join(tmpDir, 'other', 'graph.ttl'),
+            quad_3    = createQuad(factory, 'Lorem Ipsum', 'http://example.com/other');
+        await fs.mkdir(path.dirname(otherFile));
+        await fs.writeFile(otherFile, '');
+        const unitStore = new FilesystemStore({
+            defaultFile: 'file://graph.ttl',
+            loadFiles:   [{
+                '@id':            'file://graph.ttl',
+                'dct:identifier': tmpFile,
+                'dct:format':     'text/turtle'
+            }, {
+                '@id':            quad_3.graph.value,
+                'dct:identifier': otherFile,
+                'dct:format':     'text/turtle'
+            }],
+            writePolicy: 'manual'
+        }, factory);
+        await unitStore.size();
+        const fileContent = await fs.readFile(tmpFile, 'utf-8');
+        await fs.rm(path.dirname(otherFile), {recursive: true});
+        await expect(unitStore.transaction(async (tx) => {
+            await tx.add(quad_1);
+            await tx.add(quad_3);
+        })).rejects.toThrow();
+        expect(await unitStore.has(quad_1)).toBeFalsy();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toBe(fileContent);
+        expect((await fs.readdir(tmpDir)).filter(fileName => /\.(tmp|intent|commit)$/.test(fileName))).toEqual([]);
+        await unitStore.close();
+    });
+
+    test('should complete a committed and roll back an uncommitted transaction on load', async function () {
+        const
+            recoveryDir   = path.join(tmpDir, 'recovery'),
+            fileNameArr   = ['committed.ttl', 'uncommitted.ttl'],
+            stagedContent = '<http://example.com/subject> <http://example.com/predicate> "Hello World" .\n';
+        await fs.mkdir(recoveryDir);
+        for (let fileName of fileNameArr) {
+            const
+                filePath = path.join(recoveryDir, fileName),
+                tmpPath  = path.join(recoveryDir, '.' + fileName + '.staged.tmp');
+            await fs.writeFile(filePath, '');
+            await fs.writeFile(tmpPath, stagedContent);
+            await fs.writeFile(filePath + '.intent', JSON.stringify({
+                commit: path.join(recoveryDir, '.' + fileName + '.commit'),
+                tmp:    tmpPath,
+                target: filePath
+            }));
+        }
+        await fs.writeFile(path.join(recoveryDir, '.committed.ttl.commit'), '');
+        const recoveryStore = new FilesystemStore({
+            defaultFile: 'http://example.com/committed',
+            loadFiles:   fileNameArr.map(fileName => ({
+                '@id':            'http://example.com/' + path.basename(fileName, '.ttl'),
+                'dct:identifier': path.join(recoveryDir, fileName),
+                'dct:format':     'text/turtle'
+            }))
+        }, factory);
+        expect((await recoveryStore.match(null, null, null, factory.defaultGraph())).size).toBe(1);
+        expect((await recoveryStore.match(null, null, null, factory.namedNode('http://example.com/uncommitted'))).size).toBe(0);
+        expect((await fs.readdir(recoveryDir)).filter(fileName => /\.(tmp|intent)$/.test(fileName))).toEqual([]);
+        await recoveryStore.close();
+    });
+
+    after('close the store and remove the temporary graph file', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : snapshots', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, quad_2, store;
+    before('create a store with history on a temporary graph file', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory);
+        quad_2 = factory.quad(
+            quad_1.subject,
+            quad_1.predicate,
+            factory.literal('Hello World', 'en')
+        );
+        store  = createGraphStore(factory, tmpFile, {
+            writePolicy: 'manual',
+            history:     {directory: path.join(tmpDir, 'history'), maxCount: 2}
+        });
+    });
+
+    test('should keep a bounded number of snapshots', async function () {
+        await store.add(quad_1);
+        await store.flush();
+        await sleep(10);
+        await store.add(quad_2);
+        await store.flush();
+        await sleep(10);
+        await store.delete(quad_1);
+        await store.flush();
+        expect((await store.listSnapshots(factory.defaultGraph())).length).toBe(2);
+    });
+
+    test('should match and restore a snapshot', async function () {
+        const [snapshot] = await store.listSnapshots(factory.defaultGraph());
+        const result     = await store.matchSnapshot(factory.defaultGraph(), snapshot.timestamp);
+        expect(result.has(quad_1)).toBeTruthy();
+        expect(result.has(quad_2)).toBeTruthy();
+
+        const added = [];
+        store.on('added', quad => added.push(quad));
+        await store.restoreSnapshot(factory.defaultGraph(), snapshot.timestamp);
+        expect(added.length).toBe(1);
+        expect(added[0].equals(quad_1)).toBeTruthy();
+        expect(await store.size()).toBe(2);
+    });
+
+    test('should keep the snapshots of a renamed graph', async function () {
+        const
+            graphFile = path.join(tmpDir, 'default.ttl'),
+            graph     = factory.namedNode('http://example.com/graph'),
+            newGraph  = factory.namedNode('http://example.com/renamed');
+        await fs.writeFile(graphFile, '');
+        const graphStore = new FilesystemStore({
+            defaultFile:    'file://default.ttl',
+            loadFiles:      {
+                '@id':            'file://default.ttl',
+                'dct:identifier': graphFile,
+                'dct:format':     'text/turtle'
+            },
+            graphDirectory: path.join(tmpDir, 'graphs'),
+            writePolicy:    'manual',
+            history:        true
+        }, factory);
+        await graphStore.add(createQuad(factory, 'Lorem Ipsum', graph.value));
+        await graphStore.flush();
+        const [snapshot] = await graphStore.listSnapshots(graph);
+        await graphStore.renameGraph(graph, newGraph);
+        expect(await graphStore.listSnapshots(newGraph)).toEqual([snapshot]);
+        expect((await graphStore.matchSnapshot(newGraph, snapshot.timestamp)).size).toBe(1);
+        await graphStore.close();
+    });
+
+    test('should emit a failed snapshot as error without failing the write', async function () {
+        const blockingFile = path.join(tmpDir, 'blocking');
+        await fs.writeFile(blockingFile, '');
+        const blockedStore = createGraphStore(factory, tmpFile, {
+            writePolicy: 'manual',
+            history:     {directory: path.join(blockingFile, 'history')}
+        });
+        const errors       = [];
+        blockedStore.on('error', err => errors.push(err));
+        await blockedStore.add(createQuad(factory, 'Lorem Ipsum'));
+        await blockedStore.flush();
+        expect(errors.length).toBe(1);
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('Lorem Ipsum');
+        expect((await blockedStore.health()).status).toBe('ok');
+        await blockedStore.close();
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : lazy loading', function () {
+
+    let factory, tmpDir, quad_1, quad_2, store;
+    before('create a lazy store on a temporary directory with two graph files', async function () {
+        ({factory, tmpDir} = await createFixture(null));
+        quad_1  = createQuad(factory, null, 'http://example.com/first');
+        quad_2  = factory.quad(
+            quad_1.subject,
+            quad_1.predicate,
+            factory.literal('Hello World', 'en'),
+            factory.namedNode('http://example.com/second')
+        );
+        await fs.writeFile(path.join(tmpDir, 'first.ttl'), '<http://example.com/subject> <http://example.com/predicate> <http://example.com/object> .\n');
+        await fs.writeFile(path.join(tmpDir, 'second.ttl'), '<http://example.com/subject> <http://example.com/predicate> "Hello World"@en .\n');
+        await fs.writeFile(path.join(tmpDir, 'manifest.json'), JSON.stringify({
+            'first.ttl':  'http://example.com/first',
+            'second.ttl': 'http://example.com/second'
+        }));
+        store = new FilesystemStore({
+            defaultFile:   'http://example.com/first',
+            loadDirectory: tmpDir,
+            writePolicy:   'immediate',
+            lazy:          {maxQuads: 1}
+        }, factory);
+    });
+
+    test('should load the graph files on first access', async function () {
+        expect(await store.has(quad_2)).toBeTruthy();
+        expect((await store.match(quad_1.subject, null, null, quad_1.graph)).size).toBe(1);
+    });
+
+    test('should count and match evicted graph files', async function () {
+        await sleep(10);
+        expect(await store.size()).toBe(2);
+        await sleep(10);
+        expect((await store.match(quad_1.subject)).size).toBe(2);
+    });
+
+    test('should write changes to an evicted graph file', async function () {
+        await sleep(10);
+        await store.delete(quad_2);
+        await store.flush();
+        expect(await fs.readFile(path.join(tmpDir, 'second.ttl'), 'utf-8')).not.toMatch('Hello World');
+        await sleep(10);
+        expect(await store.size()).toBe(1);
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : per-file readiness', function () {
+
+    let factory, tmpDir, quad_1, store, events;
+    before('create a store on a valid and a broken graph file', async function () {
+        ({factory, tmpDir} = await createFixture(null));
+        quad_1  = createQuad(factory);
+        await fs.writeFile(path.join(tmpDir, 'valid.ttl'), '<http://example.com/subject> <http://example.com/predicate> <http://example.com/object> .\n');
+        await fs.writeFile(path.join(tmpDir, 'broken.ttl'), '<http://example.com/subject> <http://example.com/predicate> .\n');
+        events = [];
+        store  = new FilesystemStore({
+            defaultFile: 'http://example.com/valid',
+            loadFiles:   [{
+                '@id':            'http://example.com/valid',
+                'dct:identifier': path.join(tmpDir, 'valid.ttl'),
+                'dct:format':     'text/turtle'
+            }, {
+                '@id':            'http://example.com/broken',
+                'dct:identifier': path.join(tmpDir, 'broken.ttl'),
+                'dct:format':     'text/turtle'
+            }],
+            writePolicy: 'manual'
+        }, factory);
+        store.on('loaded', (graph, info) => events.push(['loaded', graph, info]));
+        store.on('load-error', (graph, err, info) => events.push(['load-error', graph, info]));
+    });
+
+    test('should answer operations on a loaded graph', async function () {
+        expect(await store.has(quad_1)).toBeTruthy();
+        expect((await store.match(null, null, null, factory.defaultGraph())).size).toBe(1);
+    });
+
+    test('should emit loaded and load-error with timings', async function () {
+        await sleep(50);
+        const loaded = events.find(([event]) => event === 'loaded');
+        const failed = events.find(([event]) => event === 'load-error');
+        expect(loaded[1].termType).toBe('DefaultGraph');
+        expect(loaded[2].size).toBe(1);
+        expect(typeof loaded[2].duration).toBe('number');
+        expect(failed[1].value).toBe('http://example.com/broken');
+        expect(typeof failed[2].duration).toBe('number');
+    });
+
+    test('should reject operations on a graph that failed to load', async function () {
+        await expect(store.match(null, null, null, factory.namedNode('http://example.com/broken'))).rejects.toThrow();
+        await expect(store.size()).rejects.toThrow();
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : dumps', function () {
+
+    let factory, tmpDir, quad_1, quad_2, source, target;
+    before('create a source and a target store with graph directories', async function () {
+        ({factory, tmpDir} = await createFixture(null));
+        quad_1  = createQuad(factory);
+        quad_2  = factory.quad(
+            quad_1.subject,
+            quad_1.predicate,
+            factory.literal('Hello World', 'en'),
+            factory.namedNode('http://example.com/graph')
+        );
+        await fs.mkdir(path.join(tmpDir, 'source'));
+        await fs.mkdir(path.join(tmpDir, 'target'));
+        source  = new FilesystemStore({
+            defaultFile:   'http://example.com/default',
+            loadDirectory: path.join(tmpDir, 'source'),
+            writePolicy:   'manual'
+        }, factory);
+        target  = new FilesystemStore({
+            defaultFile:   'http://example.com/default',
+            loadDirectory: path.join(tmpDir, 'target'),
+            writePolicy:   'manual'
+        }, factory);
+    });
+
+    test('should export every graph and import them into another store', async function () {
+        await source.add([quad_1, quad_2]);
+        for (let format of ['application/n-quads', 'application/trig']) {
+            const dump = await source.exportDump(format);
+            expect(await target.importDump(dump, format)).toBe(2);
+        }
+        expect(await target.has(quad_1)).toBeTruthy();
+        expect(await target.has(quad_2)).toBeTruthy();
+        expect((await target.listGraphs()).length).toBe(2);
+    });
+
+    test('should leave the writes of an import to a manual write policy', async function () {
+        const manualDir = path.join(tmpDir, 'manual');
+        await fs.mkdir(manualDir);
+        const manual       = new FilesystemStore({
+            defaultFile:   'http://example.com/default',
+            loadDirectory: manualDir,
+            writePolicy:   'manual'
+        }, factory);
+        const readContents = async () => (await Promise.all((await fs.readdir(manualDir))
+            .map(fileName => fs.readFile(path.join(manualDir, fileName), 'utf-8')))).join('');
+        expect(await manual.importDump(await source.exportDump())).toBe(2);
+        expect(await readContents()).not.toMatch('Hello World');
+        await manual.close();
+        expect(await readContents()).toMatch('Hello World');
+    });
+
+    test('should stream an N-Quads dump graph by graph', async function () {
+        const chunkArr = [];
+        for await (let chunk of await source.exportDump()) {
+            chunkArr.push(chunk);
+        }
+        expect(chunkArr.length).toBe(2);
+        expect(chunkArr.every(chunk => chunk.split('\n').length === 2)).toBeTruthy();
+    });
+
+    test('should reject formats without named graphs', async function () {
+        await expect(source.exportDump('text/turtle')).rejects.toThrow();
+    });
+
+    after('close the stores and remove the temporary directory', async function () {
+        await source.close();
+        await target.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : canonical serialization', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, quad_2, quad_3;
+    before('create a temporary graph file and three quads', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory, factory.blankNode());
+        quad_2 = factory.quad(
+            quad_1.object,
+            factory.namedNode('http://www.w3.org/2000/01/rdf-schema#label'),
+            factory.literal('Hello World', 'en')
+        );
+        quad_3 = factory.quad(
+            quad_1.subject,
+            factory.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type'),
+            factory.namedNode('http://example.com/Class')
+        );
+    });
+
+    const createStore = () => createGraphStore(factory, tmpFile, {
+        writePolicy: 'manual',
+        canonical:   true
+    });
+
+    test('should write sorted turtle with the prefixes of the context', async function () {
+        const store = createStore();
+        await store.add([quad_2, quad_1, quad_3]);
+        await store.flush();
+        await store.close();
+        const content = await fs.readFile(tmpFile, 'utf-8');
+        expect(content).toMatch('@prefix ex: <http://example.com/> .');
+        expect(content).toMatch('ex:subject\n    a ex:Class ;\n    ex:predicate _:b0 .');
+    });
+
+    test('should write byte-identical output for an unchanged graph', async function () {
+        const before = await fs.readFile(tmpFile, 'utf-8');
+        const store  = createStore();
+        await store.delete(quad_3);
+        await store.add(quad_3);
+        await store.flush();
+        await store.close();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toBe(before);
+    });
+
+    test('should only write context keys that are valid prefixes', async function () {
+        const
+            vocabFactory = new DataFactory({...context, '@vocab': 'http://example.com/subject/'}),
+            vocabFile    = path.join(tmpDir, 'vocab.ttl');
+        await fs.writeFile(vocabFile, '');
+        const store = createGraphStore(vocabFactory, vocabFile, {writePolicy: 'manual', canonical: true});
+        await store.add(createQuad(vocabFactory));
+        await store.close();
+        const content = await fs.readFile(vocabFile, 'utf-8');
+        expect(content).not.toMatch('@vocab');
+        expect(content).toMatch('@prefix ex: <http://example.com/> .');
+    });
+
+    after('remove the temporary directory', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : file locks', function () {
+
+    let factory, tmpDir, tmpFile, lockFile, quad_1;
+    before('create a temporary graph file', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        lockFile = tmpFile + '.lock';
+        quad_1   = createQuad(factory);
+    });
+
+    const createStore = (lock) => createGraphStore(factory, tmpFile, {
+        writePolicy: 'manual',
+        lock
+    });
+
+    test('should refuse to open a file that is locked by another store', async function () {
+        const first  = createStore('refuse');
+        expect(await first.size()).toBe(0);
+        const second = createStore('refuse');
+        await expect(second.size()).rejects.toThrow();
+        await first.close();
+        await expect(fs.stat(lockFile)).rejects.toThrow();
+    });
+
+    test('should take over a stale lock of a crashed process', async function () {
+        await fs.writeFile(lockFile, JSON.stringify({pid: 4194304, hostname: os.hostname()}));
+        const store = createStore('refuse');
+        expect(await store.size()).toBe(0);
+        expect(JSON.parse(await fs.readFile(lockFile, 'utf-8')).pid).toBe(process.pid);
+        await store.close();
+    });
+
+    test('should let only one of two stores take over the same stale lock', async function () {
+        await fs.writeFile(lockFile, JSON.stringify({pid: 4194304, hostname: os.hostname()}));
+        const
+            storeArr  = [createStore('refuse'), createStore('refuse')],
+            resultArr = await Promise.allSettled(storeArr.map(store => store.size()));
+        expect(resultArr.filter(result => result.status === 'fulfilled').length).toBe(1);
+        expect(JSON.parse(await fs.readFile(lockFile, 'utf-8')).pid).toBe(process.pid);
+        await Promise.allSettled(storeArr.map(store => store.close()));
+        await expect(fs.stat(lockFile)).rejects.toThrow();
+        expect((await fs.readdir(tmpDir)).filter(fileName => fileName.endsWith('.stale'))).toEqual([]);
+    });
+
+    test('should wait for a foreign lock before writing in coordinate mode', async function () {
+        const store = createStore('coordinate');
+        await store.add(quad_1);
+        await fs.writeFile(lockFile, JSON.stringify({pid: process.pid, hostname: os.hostname()}));
+        const flushed = store.flush();
+        await sleep(100);
+        expect(await fs.readFile(tmpFile, 'utf-8')).not.toMatch('subject');
+        await fs.rm(lockFile);
+        await flushed;
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('subject');
+        await store.close();
+    });
+
+    after('remove the temporary directory', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : conflicts', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, quad_2, quad_3;
+    before('create a temporary graph file and three quads', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1  = createQuad(factory);
+        quad_2  = factory.quad(
+            quad_1.subject,
+            quad_1.predicate,
+            factory.literal('Hello World', 'en')
+        );
+        quad_3  = factory.quad(
+            quad_1.subject,
+            quad_1.predicate,
+            factory.literal('External')
+        );
+    });
+
+    const createStore = (conflicts) => createGraphStore(factory, tmpFile, {
+        writePolicy: 'manual',
+        conflicts
+    });
+
+    const externalContent = '<http://example.com/subject> <http://example.com/predicate> <http://example.com/object>, "External" .\n';
+
+    test('should refuse to overwrite an external edit and merge on request', async function () {
+        await fs.writeFile(tmpFile, '');
+        const store     = createStore('manual');
+        const conflicts = [];
+        store.on('conflict', (graph, dataset) => conflicts.push(dataset));
+        await store.add(quad_1);
+        await store.flush();
+        await store.add(quad_2);
+        await fs.writeFile(tmpFile, externalContent);
+        await expect(store.flush()).rejects.toThrow();
+        expect(conflicts.length).toBe(1);
+        expect(conflicts[0].has(quad_3)).toBeTruthy();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toBe(externalContent);
+
+        await store.resolveConflict(factory.defaultGraph(), 'merge');
+        expect(await store.size()).toBe(3);
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('External');
+        expect(await fs.readFile(tmpFile, 'utf-8')).toMatch('Hello World');
+        await store.close();
+    });
+
+    test('should take the external edit with the theirs strategy', async function () {
+        await fs.writeFile(tmpFile, '');
+        const store = createStore('theirs');
+        await store.add(quad_2);
+        await fs.writeFile(tmpFile, externalContent);
+        await store.flush();
+        expect(await store.has(quad_2)).toBeFalsy();
+        expect(await store.has(quad_3)).toBeTruthy();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toBe(externalContent);
+        await store.close();
+    });
+
+    after('remove the temporary directory', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : read-only graphs', function () {
+
+    let factory, tmpDir, dataFile, ontologyFile, ontologyContent, quad_1, quad_2, store;
+    before('create a store with a writable and a read-only graph file', async function () {
+        ({factory, tmpDir} = await createFixture(null));
+        dataFile        = path.join(tmpDir, 'data.ttl');
+        ontologyFile    = path.join(tmpDir, 'ontology.ttl');
+        ontologyContent = '<http://example.com/Class> <http://example.com/predicate> <http://example.com/object> .\n';
+        await fs.writeFile(dataFile, '<http://example.com/subject> <http://example.com/predicate> <http://example.com/object> .\n');
+        await fs.writeFile(ontologyFile, ontologyContent);
+        quad_1 = createQuad(factory, factory.literal('Hello World', 'en'), 'http://example.com/ontology');
+        quad_2 = factory.quad(
+            factory.namedNode('http://example.com/Class'),
+            factory.namedNode('http://example.com/predicate'),
+            factory.namedNode('http://example.com/object'),
+            factory.namedNode('http://example.com/ontology')
+        );
+        store  = new FilesystemStore({
+            defaultFile: 'http://example.com/data',
+            loadFiles:   [{
+                '@id':            'http://example.com/data',
+                'dct:identifier': dataFile,
+                'dct:format':     'text/turtle'
+            }, {
+                '@id':            'http://example.com/ontology',
+                'dct:identifier': ontologyFile,
+                'dct:format':     'text/turtle',
+                'readOnly':       true
+            }],
+            writePolicy: 'immediate'
+        }, factory);
+    });
+
+    test('should reject mutations of a read-only graph', async function () {
+        await expect(store.add(quad_1)).rejects.toThrow('read-only');
+        await expect(store.delete(quad_2)).rejects.toThrow('read-only');
+        await expect(store.deleteMatches(null, null, null, quad_2.graph)).rejects.toThrow('read-only');
+        await expect(store.transaction(tx => tx.add(quad_1))).rejects.toThrow('read-only');
+        expect(await store.has(quad_2)).toBeTruthy();
+    });
+
+    test('should skip read-only graphs in an unscoped deleteMatches', async function () {
+        expect(await store.deleteMatches(null, factory.namedNode('http://example.com/predicate'))).toBe(1);
+        await store.flush();
+        expect(await store.has(quad_2)).toBeTruthy();
+        expect(await fs.readFile(ontologyFile, 'utf-8')).toBe(ontologyContent);
+    });
+
+    test('should never write a read-only graph with a leftover journal', async function () {
+        const
+            journalFile    = ontologyFile + '.journal',
+            journalContent = '# ' + crypto.createHash('sha256').update(ontologyContent).digest('hex') + '\n'
+                + '+ <http://example.com/Class> <http://example.com/predicate> "Hello World" .\n',
+            editedContent  = ontologyContent + '<http://example.com/Class> <http://example.com/predicate> <http://example.com/edited> .\n';
+        await fs.writeFile(journalFile, journalContent);
+        const journalStore = new FilesystemStore({
+            defaultFile: 'http://example.com/ontology',
+            loadFiles:   {
+                '@id':            'http://example.com/ontology',
+                'dct:identifier': ontologyFile,
+                'dct:format':     'text/turtle',
+                'readOnly':       true
+            },
+            journal:     true,
+            watch:       true
+        }, factory);
+        expect(await journalStore.has(factory.quad(quad_2.subject, quad_2.predicate, factory.literal('Hello World')))).toBeTruthy();
+        await fs.writeFile(ontologyFile, editedContent);
+        await sleep(300);
+        await journalStore.close();
+        expect(await fs.readFile(ontologyFile, 'utf-8')).toBe(editedContent);
+        expect(await fs.readFile(journalFile, 'utf-8')).toBe(journalContent);
+        await fs.writeFile(ontologyFile, ontologyContent);
+        await fs.rm(journalFile);
+    });
+
+    test('should reject every mutation of a read-only store', async function () {
+        const readOnlyStore = new FilesystemStore({
+            defaultFile: 'http://example.com/data',
+            loadFiles:   {
+                '@id':            'http://example.com/data',
+                'dct:identifier': dataFile,
+                'dct:format':     'text/turtle'
+            },
+            readOnly:    true
+        }, factory);
+        await expect(readOnlyStore.add(factory.quad(quad_1.subject, quad_1.predicate, quad_1.object))).rejects.toThrow('read-only');
+        expect(await readOnlyStore.deleteMatches()).toBe(0);
+        await readOnlyStore.close();
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : blank nodes', function () {
+
+    let factory, tmpDir, tmpFile, subject, predicate, label;
+    before('create a temporary graph file with a blank node', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        subject   = factory.namedNode('http://example.com/subject');
+        predicate = factory.namedNode('http://example.com/predicate');
+        label     = factory.namedNode('http://www.w3.org/2000/01/rdf-schema#label');
+    });
+
+    const createStore = (blankNodes) => createGraphStore(factory, tmpFile, {
+        writePolicy: 'manual',
+        blankNodes
+    });
+
+    const objectOf = async (store) => {
+        const [quad] = await store.match(subject, predicate);
+        return quad.object;
+    };
+
+    test('should keep blank node labels across reloads and changes', async function () {
+        await fs.writeFile(tmpFile, '<http://example.com/subject> <http://example.com/predicate> [ <http://www.w3.org/2000/01/rdf-schema#label> "Hello World" ] .\n');
+        const first     = createStore('labels');
+        const blankNode = await objectOf(first);
+        expect(blankNode.termType).toBe('BlankNode');
+        await first.add(factory.quad(blankNode, label, factory.literal('Hallo Welt', 'de')));
+        await first.close();
+
+        const second = createStore('labels');
+        expect((await objectOf(second)).value).toBe(blankNode.value);
+        expect(await second.has(factory.quad(blankNode, label, factory.literal('Hallo Welt', 'de')))).toBeTruthy();
+        await second.close();
+    });
+
+    test('should skolemize blank nodes to stable genid IRIs', async function () {
+        await fs.writeFile(tmpFile, '<http://example.com/subject> <http://example.com/predicate> [ <http://www.w3.org/2000/01/rdf-schema#label> "Hello World" ] .\n');
+        const options = {strategy: 'skolemize', base: 'http://example.com/.well-known/genid/', deskolemize: true};
+        const first   = createStore(options);
+        const skolem  = await objectOf(first);
+        expect(skolem.termType).toBe('NamedNode');
+        expect(skolem.value.startsWith(options.base)).toBeTruthy();
+        await first.add(factory.quad(skolem, label, factory.literal('Hallo Welt', 'de')));
+        await first.close();
+        expect(await fs.readFile(tmpFile, 'utf-8')).not.toMatch('.well-known');
+
+        const second = createStore(options);
+        expect((await objectOf(second)).equals(skolem)).toBeTruthy();
+        await second.close();
+    });
+
+    after('remove the temporary directory', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : paging and streaming matches', function () {
+
+    let factory, tmpDir, tmpFile, quadArr, store;
+    before('create a store with ten quads', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quadArr = Array.from({length: 10}, (value, index) => createQuad(factory, factory.literal('' + index)));
+        store   = createGraphStore(factory, tmpFile, {writePolicy: 'manual'});
+        await store.add(quadArr);
+    });
+
+    test('should page through the matches with limit and offset', async function () {
+        const pages = [];
+        for (let offset = 0; offset < 10; offset += 4) {
+            pages.push(await store.match(null, null, null, null, {limit: 4, offset}));
+        }
+        expect(pages.map(page => page.size)).toEqual([4, 4, 2]);
+        expect(quadArr.every(quad => pages.some(page => page.has(quad)))).toBeTruthy();
+    });
+
+    test('should stream the matches', async function () {
+        const stream  = await store.matchStream(quadArr[0].subject);
+        const matches = [];
+        for await (let quad of stream) {
+            matches.push(quad);
+        }
+        expect(matches.length).toBe(10);
+        expect(matches[0].graph.termType).toBe('DefaultGraph');
+    });
+
+    test('should match nothing in an unknown graph', async function () {
+        const graph = factory.namedNode('http://example.com/unknown');
+        expect((await store.match(null, null, null, graph)).size).toBe(0);
+        const matches = [];
+        for await (let quad of await store.matchStream(null, null, null, graph)) {
+            matches.push(quad);
+        }
+        expect(matches.length).toBe(0);
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : quad streams', function () {
+
+    let factory, tmpDir, tmpFile, store;
+    before('create a store', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        store   = createGraphStore(factory, tmpFile, {writePolicy: 'immediate'});
+    });
+
+    test('should add the quads of a stream and emit the rejected quads', async function () {
+        const rejected = [];
+        store.on('rejected', (quad, err) => rejected.push([quad, err]));
+        const quadArr = [createQuad(factory, 'a'), createQuad(factory, 'b'), createQuad(factory, 'c', 'http://example.com/unknown')];
+        expect(await store.addStream(Readable.from(quadArr))).toBe(2);
+        expect(rejected.length).toBe(1);
+        expect(rejected[0][0].equals(quadArr[2])).toBeTruthy();
+        expect(rejected[0][1]).toBeInstanceOf(Error);
+        await store.flush();
+        expect(await fs.readFile(tmpFile, 'utf-8')).toContain('"b"');
+    });
+
+    test('should delete the quads of a stream', async function () {
+        expect(await store.deleteStream(Readable.from([createQuad(factory, 'a'), createQuad(factory, 'x')]))).toBe(1);
+        expect(await store.size()).toBe(1);
+    });
+
+    test('should reject on an error of the stream and keep the quads read until then', async function () {
+        const stream = new Readable({objectMode: true, read() {}});
+        stream.push(createQuad(factory, 'd'));
+        setImmediate(() => stream.destroy(new Error('broken stream')));
+        await expect(store.addStream(stream)).rejects.toThrow('broken stream');
+        expect(await store.has(createQuad(factory, 'd'))).toBeTruthy();
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : encryption', function () {
+
+    let factory, tmpDir, tmpFile, quad_1, key_1, key_2;
+    before('create a temporary graph file and two keys', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1 = createQuad(factory, 'Personal Data');
+        key_1  = crypto.randomBytes(32);
+        key_2  = crypto.randomBytes(32);
+    });
+
+    function createStore(encryption) {
+        return createGraphStore(factory, tmpFile, {
+            writePolicy: 'immediate',
+            encryption
+        });
+    }
+
+    function keyIdOf(key) {
+        return crypto.createHash('sha256').update(key).digest().subarray(0, 8);
+    }
+
+    test('should write the graph file encrypted and read it again', async function () {
+        const store = createStore({key: key_1});
+        await store.add(quad_1);
+        await store.close();
+        const fileContent = await fs.readFile(tmpFile);
+        expect(fileContent.toString()).not.toContain('Personal Data');
+        expect(fileContent.subarray(7, 15).equals(keyIdOf(key_1))).toBeTruthy();
+        const reopened = createStore(key_1);
+        expect(await reopened.has(quad_1)).toBeTruthy();
+        await reopened.close();
+    });
+
+    test('should reject a wrong key', async function () {
+        const store = createStore({key: key_2});
+        await expect(store.size()).rejects.toThrow('expected a key with the id');
+        await store.close();
+    });
+
+    test('should re-encrypt the file with a new key on the next flush', async function () {
+        const store = createStore({key: key_2, previousKeys: [key_1]});
+        expect(await store.has(quad_1)).toBeTruthy();
+        await store.flush();
+        expect((await fs.readFile(tmpFile)).subarray(7, 15).equals(keyIdOf(key_2))).toBeTruthy();
+        await store.close();
+    });
+
+    test('should re-encrypt the file when the keyProvider switches to a new key', async function () {
+        const
+            keyArr   = [key_1, key_2, crypto.randomBytes(32)],
+            keyIdArr = keyArr.map(key => keyIdOf(key).toString('hex'));
+        let currentKey = key_2;
+        const store    = createStore({keyProvider: (fileId, keyId) => keyId === null ? currentKey : keyArr[keyIdArr.indexOf(keyId)]});
+        expect(await store.has(quad_1)).toBeTruthy();
+        currentKey = keyArr[2];
+        await store.flush();
+        expect((await fs.readFile(tmpFile)).subarray(7, 15).equals(keyIdOf(keyArr[2]))).toBeTruthy();
+        currentKey = key_2;
+        await store.close();
+        expect((await fs.readFile(tmpFile)).subarray(7, 15).equals(keyIdOf(key_2))).toBeTruthy();
+    });
+
+    test('should reject a tampered file', async function () {
+        const fileContent = await fs.readFile(tmpFile);
+        fileContent[fileContent.length - 1] ^= 1;
+        await fs.writeFile(tmpFile, fileContent);
+        const store = createStore({key: key_2});
+        await expect(store.size()).rejects.toThrow('expected the content to be authentic');
+        await store.close();
+    });
+
+    after('remove the temporary directory', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : compression', function () {
+
+    let factory, tmpDir, quad_1, quad_2;
+    before('create a temporary directory with compressed graph files', async function () {
+        ({factory, tmpDir} = await createFixture(null));
+        quad_1  = createQuad(factory, 'Hello World');
+        quad_2  = createQuad(factory, 'Lorem Ipsum');
+        await fs.writeFile(path.join(tmpDir, 'graph.nt.gz'), zlib.gzipSync(
+            '<http://example.com/subject> <http://example.com/predicate> "Hello World" .\n'));
+        await fs.writeFile(path.join(tmpDir, 'other.ttl.br'), zlib.brotliCompressSync(
+            '<http://example.com/other> <http://example.com/predicate> "Lorem Ipsum" .\n'));
+    });
+
+    test('should load and write a gzip compressed file', async function () {
+        const store = new FilesystemStore({
+            defaultFile: 'file://graph.nt.gz',
+            loadFiles:   {
+                '@id':            'file://graph.nt.gz',
+                'dct:identifier': path.join(tmpDir, 'graph.nt.gz'),
+                'dct:format':     'application/n-triples'
+            },
+            writePolicy: 'manual'
+        }, factory);
+        expect(await store.has(quad_1)).toBeTruthy();
+        await store.add(quad_2);
+        await store.close();
+        const fileContent = zlib.gunzipSync(await fs.readFile(path.join(tmpDir, 'graph.nt.gz'))).toString();
+        expect(fileContent).toContain('"Lorem Ipsum"');
+    });
+
+    test('should discover compressed files in a directory', async function () {
+        const store = new FilesystemStore({
+            defaultFile:   'http://example.com/default',
+            loadDirectory: tmpDir,
+            writePolicy:   'manual'
+        }, factory);
+        expect(await store.size()).toBe(3);
+        await store.close();
+    });
+
+    test('should report the size of a compressed file, that has been streamed into place', async function () {
+        const store     = new FilesystemStore({
+            defaultFile: 'file://graph.nt.gz',
+            loadFiles:   {
+                '@id':            'file://graph.nt.gz',
+                'dct:identifier': path.join(tmpDir, 'graph.nt.gz'),
+                'dct:format':     'application/n-triples'
+            },
+            writePolicy: 'manual'
+        }, factory);
+        const persisted = once(store, 'persisted');
+        await store.delete(quad_2);
+        await store.flush();
+        const [, {bytes}] = await persisted;
+        expect(bytes).toBe((await fs.stat(path.join(tmpDir, 'graph.nt.gz'))).size);
+        expect(zlib.gunzipSync(await fs.readFile(path.join(tmpDir, 'graph.nt.gz'))).toString()).not.toContain('"Lorem Ipsum"');
+        await store.close();
+    });
+
+    after('remove the temporary directory', async function () {
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : stats', function () {
+
+    let factory, tmpDir, tmpFile, store, quad_1;
+    before('create a store with a manual write policy', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture());
+        quad_1  = createQuad(factory, 'Hello World');
+        store   = createGraphStore(factory, tmpFile, {writePolicy: 'manual'});
+    });
+
+    test('should report a dirty graph and count the changes', async function () {
+        await store.add(quad_1);
+        const {graphs: [graphStats], counters} = await store.stats();
+        expect(graphStats.graph.termType).toBe('DefaultGraph');
+        expect(graphStats.quads).toBe(1);
+        expect(graphStats.path).toBe(tmpFile);
+        expect(graphStats.fileSize).toBe(0);
+        expect(graphStats.lastLoaded).not.toBeNull();
+        expect(graphStats.lastPersisted).toBeNull();
+        expect(graphStats.dirty).toBeTruthy();
+        expect(graphStats.writeDeadline).toBeNull();
+        expect(counters).toEqual({added: 1, deleted: 0, writes: 0, writeErrors: 0});
+    });
+
+    test('should report the write after a flush', async function () {
+        await store.flush();
+        const {graphs: [graphStats], counters} = await store.stats();
+        expect(graphStats.dirty).toBeFalsy();
+        expect(graphStats.fileSize).toBeGreaterThan(0);
+        expect(graphStats.lastPersisted).not.toBeNull();
+        expect(graphStats.writeError).toBeNull();
+        expect(counters.writes).toBe(1);
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : persistence events', function () {
+
+    let factory, tmpDir, tmpFile, store, quad_1;
+    before('create a store in a subdirectory', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture('data/graph.ttl'));
+        quad_1 = createQuad(factory, 'Hello World');
+        store  = createGraphStore(factory, tmpFile, {writePolicy: 'manual'});
+        store.on('error', () => null);
+    });
+
+    test('should emit persist-scheduled and persisted', async function () {
+        const events = [];
+        store.on('persist-scheduled', (graph, info) => events.push(['persist-scheduled', graph, info]));
+        store.on('persisted', (graph, info) => events.push(['persisted', graph, info]));
+        await store.add(quad_1);
+        await store.flush();
+        expect(events.map(([event]) => event)).toEqual(['persist-scheduled', 'persisted']);
+        expect(events[0][2].deadline).toBeNull();
+        expect(events[1][1].termType).toBe('DefaultGraph');
+        expect(events[1][2].bytes).toBe((await fs.stat(tmpFile)).size);
+        expect(events[1][2].duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should emit write-error with the retained dirty state', async function () {
+        const events = [];
+        store.on('write-error', (graph, err, info) => events.push([graph, err, info]));
+        await fs.rm(path.dirname(tmpFile), {recursive: true, force: true});
+        await store.delete(quad_1);
+        await expect(store.flush()).rejects.toThrow();
+        expect(events.length).toBe(1);
+        expect(events[0][1]).toBeInstanceOf(Error);
+        expect(events[0][2]).toEqual({dirty: true});
+        await fs.mkdir(path.dirname(tmpFile));
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});
+
+describe('module.persistence.filesystem : write retries', function () {
+
+    let factory, tmpDir, tmpFile, store, quad_1, quad_2;
+    before('create a store in a subdirectory', async function () {
+        ({factory, tmpDir, tmpFile} = await createFixture('data/graph.ttl'));
+        quad_1 = createQuad(factory, 'Hello World');
+        quad_2 = createQuad(factory, 'Lorem Ipsum');
+        store  = createGraphStore(factory, tmpFile, {
+            writePolicy: 'immediate',
+            retry:       {initialDelay: 20, maxDelay: 40, rejectAfter: 50}
+        });
+        store.on('error', () => null);
+        await store.size();
+    });
+
+    test('should report a graph with failing writes as degraded', async function () {
+        await fs.rm(path.dirname(tmpFile), {recursive: true, force: true});
+        const failed = once(store, 'write-error');
+        await store.add(quad_1);
+        await failed;
+        const {status, graphs: [graphHealth]} = await store.health();
+        expect(status).toBe('degraded');
+        expect(graphHealth.failedWrites).toBeGreaterThanOrEqual(1);
+        expect(graphHealth.writeError).toBeInstanceOf(Error);
+        expect(graphHealth.nextRetry).not.toBeNull();
+    });
+
+    test('should reject mutations after the graph has been unwritable for too long', async function () {
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await expect(store.add(quad_2)).rejects.toThrow('expected graph to be writable');
+    });
+
+    test('should reject unscoped deletes while a graph rejects mutations', async function () {
+        await expect(store.deleteMatches(quad_1.subject)).rejects.toThrow('expected graph to be writable');
+        await expect(store.transaction(tx => tx.deleteMatches(quad_1.subject))).rejects.toThrow('expected graph to be writable');
+        expect(await store.has(quad_1)).toBeTruthy();
+    });
+
+    test('should delete nothing from an unknown graph', async function () {
+        expect(await store.deleteMatches(null, null, null, factory.namedNode('http://example.com/unknown'))).toBe(0);
+    });
+
+    test('should retry the write until it succeeds', async function () {
+        const persisted = once(store, 'persisted');
+        await fs.mkdir(path.dirname(tmpFile));
+        await persisted;
+        expect((await store.health()).status).toBe('ok');
+        expect(await fs.readFile(tmpFile, 'utf-8')).toContain('Hello World');
+    });
+
+    test('should keep the changes of a failed close and write them on the next close', async function () {
+        const closingFile = path.join(tmpDir, 'closing', 'graph.ttl');
+        await fs.mkdir(path.dirname(closingFile));
+        await fs.writeFile(closingFile, '');
+        const closingStore = createGraphStore(factory, closingFile, {writePolicy: 'manual', retry: false});
+        closingStore.on('error', () => null);
+        await closingStore.add(quad_2);
+        await fs.rm(path.dirname(closingFile), {recursive: true, force: true});
+        await expect(closingStore.close()).rejects.toThrow();
+        await expect(closingStore.add(quad_1)).rejects.toThrow('expected store not to be closed');
+        await fs.mkdir(path.dirname(closingFile));
+        await closingStore.close();
+        expect(await fs.readFile(closingFile, 'utf-8')).toContain('Lorem Ipsum');
+    });
+
+    after('close the store and remove the temporary directory', async function () {
+        await store.close();
+        await fs.rm(tmpDir, {recursive: true, force: true});
+    });
+
+});